@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+// --- Title Generator CLI ---
+// Predicts title numbers from a JPPH workbook (or CSV/TSV table) with the same
+// engine as the web page.
+//
+//   node bin/title-gen.js predict jpph.xlsx --house 12 --type GRN --json
+//
+// After `npm install -g .` it is also available as `title-gen predict ...`.
+// In --json output, codes and numbers are the same whatever the --lang;
+// only the `message` fields are translated.
+//
+// Exit codes: 0 = success, 1 = error, 2 = low confidence.
+const fs = require("fs");
+const path = require("path");
+const XLSX = require("../vendor/xlsx.full.min.js");
+const TitleI18n = require("../i18n.js");
+const TitleEngine = require("../engine.js");
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_LOW_CONFIDENCE = 2;
+
+const USAGE = `Usage: title-gen predict <file> --house <number or address> [options]
+
+Options:
+  --house <value>      Target house number, e.g. 12 or "No. 12, Jalan Meranti 3"
+  --type <types>       Only use these title types, comma separated (e.g. GRN,HSD)
+  --outliers <mode>    Outlier handling: classic (default) or robust
+  --scheme <scheme>    House numbering: auto (default), parity, consecutive or mirrored
+  --method <method>    Prediction: regression (default) or neighbours
+  --segmented          Split streets titled in phases and fit each phase
+  --a-suffix-same      Treat "12A" as house 12 instead of 13
+  --lang <language>    Language of the messages: en (default) or ms (Bahasa Malaysia)
+  --json               Print the result as JSON
+  --help               Show this help`;
+
+/**
+ * Reads the command line into { command, file, options }
+ */
+function parseArgs(argv) {
+  const args = { command: null, file: null, house: null, types: [], outlierMode: "classic", scheme: "auto", method: "regression", segmented: false, aSuffixIsNext: true, lang: TitleI18n.DEFAULT_LANGUAGE, json: false, help: false };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value.`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "--house": args.house = next(); break;
+      case "--type": args.types.push(...next().split(",").map(type => type.trim()).filter(Boolean)); break;
+      case "--outliers": args.outlierMode = next(); break;
+      case "--scheme": args.scheme = next(); break;
+      case "--method": args.method = next(); break;
+      case "--segmented": args.segmented = true; break;
+      case "--a-suffix-same": args.aSuffixIsNext = false; break;
+      case "--lang": args.lang = next(); break;
+      case "--json": args.json = true; break;
+      case "--help": case "-h": args.help = true; break;
+      default:
+        if (arg.startsWith("-")) throw new Error(`Unknown option ${arg}.`);
+        positional.push(arg);
+    }
+  }
+
+  [args.command, args.file] = positional;
+  if (!["classic", "robust"].includes(args.outlierMode)) {
+    throw new Error(`--outliers must be "classic" or "robust", not "${args.outlierMode}".`);
+  }
+  const schemes = ["auto", ...TitleEngine.NUMBERING_SCHEMES];
+  if (!schemes.includes(args.scheme)) {
+    throw new Error(`--scheme must be one of ${schemes.join(", ")}, not "${args.scheme}".`);
+  }
+  if (!["regression", "neighbours"].includes(args.method)) {
+    throw new Error(`--method must be "regression" or "neighbours", not "${args.method}".`);
+  }
+  const languages = Object.keys(TitleI18n.LANGUAGES);
+  if (!languages.includes(args.lang)) {
+    throw new Error(`--lang must be one of ${languages.join(", ")}, not "${args.lang}".`);
+  }
+  return args;
+}
+
+/**
+ * Reads every sheet of the file into data records, as the web page does
+ */
+function readRecords(file, addressOptions) {
+  const name = path.basename(file);
+  let sheets;
+  let table = false;
+
+  if (/\.(csv|tsv|txt)$/i.test(file)) {
+    sheets = [{ name: "Table", rows: TitleEngine.parseDelimitedText(fs.readFileSync(file, "utf8")) }];
+    table = true;
+  } else {
+    const workbook = XLSX.read(fs.readFileSync(file), { type: "buffer" });
+    sheets = workbook.SheetNames.map((sheetName, idx) => ({ name: sheetName, rows: TitleEngine.getSheetRows(XLSX, workbook, idx) }));
+  }
+
+  const records = [];
+  sheets.forEach(sheet => {
+    const result = TitleEngine.parseJpphWorkbook(sheet.rows, { source: { file: name, sheet: sheet.name }, table, addressOptions });
+    records.push(...result.records);
+  });
+  return records;
+}
+
+/**
+ * Keeps one record per sale (street, type, house and title), like the page does when importing
+ */
+function collapseDuplicates(records) {
+  const seen = new Set();
+  return records.filter(record => {
+    const key = TitleEngine.getRecordKey(record);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * The regression as a formula that reads the same in every language,
+ * e.g. "title = 1.0000 * n + 1000.00"
+ */
+function formatPlainFormula(regression) {
+  const sign = regression.c < 0 ? "-" : "+";
+  return `title = ${regression.m.toFixed(4)} * n ${sign} ${Math.abs(regression.c).toFixed(2)}`;
+}
+
+function stripHtml(html) {
+  return html
+    .replace(/<br\s*\/?>|<li>/g, "\n  ")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .trim();
+}
+
+function predict(args) {
+  if (!args.file) throw new Error("Please give the JPPH file to read.");
+  if (!args.house) throw new Error("Please give the target house with --house.");
+  if (!fs.existsSync(args.file)) throw new Error(`File not found: ${args.file}`);
+
+  const addressOptions = { aSuffixIsNext: args.aSuffixIsNext };
+  const house = /^\d+$/.test(args.house.trim())
+    ? parseInt(args.house, 10)
+    : TitleEngine.parseAddress(args.house, addressOptions).houseNumber;
+  if (house === null) throw new Error(`Could not read a house number from "${args.house}".`);
+
+  let records = collapseDuplicates(readRecords(args.file, addressOptions));
+  if (records.length === 0) {
+    throw new Error(`No house/title pairs were found in ${args.file}. Check that it uses the JPPH layout.`);
+  }
+
+  if (args.types.length > 0) {
+    const wanted = new Set(args.types.map(TitleEngine.normalizeType));
+    records = records.filter(record => wanted.has(TitleEngine.normalizeType(record.type)));
+    if (records.length === 0) throw new Error(`No titles of type ${args.types.join(", ")} were found.`);
+  }
+
+  const issues = TitleEngine.findDataIssues(records);
+  const points = records
+    .filter(record => record.houseNum !== null)
+    .map(record => ({ house: record.houseNum, title: record.titleNum, type: record.type }));
+
+  const prediction = TitleEngine.predictTitle(points, house, { segmented: args.segmented, outlierMode: args.outlierMode, scheme: args.scheme, method: args.method });
+  if (prediction.error) throw new Error(stripHtml(prediction.error));
+
+  const lowConfidence = prediction.confidence.level === "warning";
+  const validation = prediction.confidence.validation;
+
+  if (args.json) {
+    console.log(JSON.stringify({
+      house: prediction.house,
+      title: prediction.title,
+      scheme: prediction.scheme,
+      method: prediction.method,
+      transform: prediction.transform,
+      formula: formatPlainFormula(prediction.regression),
+      regression: { m: Number(prediction.regression.m.toFixed(4)), c: Number(prediction.regression.c.toFixed(2)) },
+      r2_percent: Number(prediction.confidence.r2_percent.toFixed(2)),
+      confidence: prediction.confidence.level,
+      validation: {
+        tested: validation.tested,
+        exact: validation.hits,
+        mean_error: validation.mean_error === null ? null : Number(validation.mean_error.toFixed(2)),
+        max_error: validation.max_error
+      },
+      low_confidence: lowConfidence,
+      range: { low: prediction.interval.low, high: prediction.interval.high },
+      candidates: prediction.interval.candidates,
+      neighbours: prediction.neighbours.error ? null : prediction.neighbours.neighbours.map(point => ({ house: point.house, title: point.title })),
+      outliers: prediction.outliers.map(outlier => ({
+        house: outlier.house,
+        title: outlier.title,
+        kind: outlier.kind,
+        expected: outlier.expected ?? null,
+        message: outlier.reason
+      })),
+      points_used: points.length,
+      types: args.types,
+      data_issues: issues.map(issue => ({
+        kind: issue.kind,
+        houses: issue.records.map(record => record.houseNum),
+        titles: issue.records.map(record => record.titleNum),
+        message: issue.message
+      })),
+      message: stripHtml(prediction.message)
+    }, null, 2));
+  } else {
+    const { t, formatNumber } = TitleI18n;
+    console.log(t("cli.result", { house: prediction.house, title: prediction.title }));
+    console.log(t("result.let", { transform: `n = ${prediction.transform_name}` }));
+    console.log(t("result.formula", { formula: prediction.formula }));
+    console.log(`${t("batch.confidence")}: ${prediction.confidence.label}`);
+    if (validation.tested > 0) {
+      console.log(`${t("report.validation")}: ${t("report.validationSummary", {
+        hits: validation.hits,
+        tested: validation.tested,
+        mean: formatNumber(validation.mean_error, 1),
+        max: validation.max_error
+      })}`);
+    }
+    console.log(`R²: ${formatNumber(prediction.confidence.r2_percent, 1)}%`);
+    console.log(t("result.range", { low: prediction.interval.low, high: prediction.interval.high }));
+    if (prediction.outliers.length > 0) {
+      console.log(t("cli.outliers"));
+      prediction.outliers.forEach(outlier => console.log(`  ${t("report.outlier", { house: outlier.house, reason: outlier.reason })}`));
+    }
+    if (issues.length > 0) {
+      console.log(t("cli.dataIssues"));
+      issues.forEach(issue => console.log(`  ${issue.message}`));
+    }
+    console.log(stripHtml(prediction.message));
+  }
+
+  return lowConfidence ? EXIT_LOW_CONFIDENCE : EXIT_OK;
+}
+
+function main(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  if (args.help || !args.command) {
+    console.log(USAGE);
+    return args.help ? EXIT_OK : EXIT_ERROR;
+  }
+  if (args.command !== "predict") {
+    console.error(`Unknown command "${args.command}".\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  TitleI18n.setLanguage(args.lang);
+  try {
+    return predict(args);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return EXIT_ERROR;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,1724 @@
+// --- Title Generator Engine ---
+// Parsing and prediction logic with no DOM access. The page loads it as
+// window.TitleEngine after i18n.js; Node tools can require("./engine.js").
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./i18n.js"));
+  } else {
+    root.TitleEngine = factory(root.TitleI18n);
+  }
+}(typeof self !== "undefined" ? self : this, function (i18n) {
+  
+  const { t, formatNumber, formatList } = i18n;
+  
+  // --- Constants ---
+  const MIN_POINTS = 2;
+  const CONFIDENCE_THRESHOLD = 90; // R² (%) below which the outlier correction looks for a bad point
+  const VALIDATION_GOOD_HIT_RATE = 0.8; // High confidence needs this share of held-out titles predicted exactly...
+  const VALIDATION_GOOD_MAX_ERROR = 2; // ...and no held-out title missed by more than this
+  const VALIDATION_POOR_HIT_RATE = 0.5; // Low confidence below this share of exact predictions...
+  const VALIDATION_POOR_MEAN_ERROR = 2; // ...or when held-out titles are missed by more than this on average
+  const SEGMENT_MIN_JUMP = 20; // Smallest title jump treated as a new issuing phase
+  const ROBUST_MIN_RESIDUAL = 5; // Titles this close to the line are never rejected
+  const ROBUST_CUTOFF = 3; // Reject beyond this many robust standard deviations
+  const ROBUST_MAX_ITERATIONS = 10;
+  const ROBUST_MIN_POINTS = 4; // With fewer points there is no majority to trust
+  const PREDICTION_MIN_SIGMA = 0.5; // Titles are whole numbers, so never claim more precision than this
+  const MAX_CANDIDATES = 5;
+  const MIN_CANDIDATE_LIKELIHOOD = 0.05;
+  const REVERSE_SEARCH_HOUSES = 6; // Houses either side of an inverted estimate to check
+  const REVERSE_SPAN = 1000; // House numbers over which a transform's slope is measured
+  const DEFAULT_FIT_OPTIONS = { segmented: false, outlierMode: "classic", scheme: "auto", method: "regression" };
+  const NUMBERING_SCHEMES = ["parity", "consecutive", "mirrored"]; // Also the order "auto" prefers on a tie
+  const SCHEME_TIE_TOLERANCE = 0.5; // Spreads closer than half a title number fit equally well
+  const DEFAULT_ADDRESS_OPTIONS = { aSuffixIsNext: true };
+  
+  // JPPH template layout. Rows and columns are 1-based, as shown in Excel.
+  const DEFAULT_TEMPLATE = { name: "JPPH Standard", houseRow: 11, dateRow: 23, titleRow: 26, firstColumn: 4 };
+  const TEMPLATE_ROW_LABELS = {
+    houseRow: ["alamat", "address", "no. rumah", "no rumah", "house"],
+    dateRow: ["tarikh", "date"],
+    titleRow: ["hakmilik", "title"]
+  };
+  const TEMPLATE_LABEL_COLUMNS = 4; // Row labels are looked for in the first few columns only
+  // The date column of a table is optional, so a table with only houses and titles still reads
+  const TABLE_COLUMN_TEMPLATE = { name: "Table Columns", houseRow: 1, dateRow: 3, titleRow: 2, firstColumn: 1, dateOptional: true };
+  
+  // Address words that start a street or taman name (Malay and English, with common short forms)
+  const ADDRESS_STREET_WORDS = ["JALAN", "JLN", "LORONG", "LRG", "PERSIARAN", "PSN", "LEBUH", "LENGKOK", "LINGKARAN", "LALUAN", "CHANGKAT", "SOLOK", "TINGKAT", "ROAD", "STREET"];
+  // English and Malay month names, abbreviations first
+  const MONTH_NAMES = [
+    ["JAN", "JANUARY", "JANUARI"], ["FEB", "FEBRUARY", "FEBRUARI"], ["MAR", "MARCH", "MAC"],
+    ["APR", "APRIL"], ["MAY", "MEI"], ["JUN", "JUNE"], ["JUL", "JULY", "JULAI"],
+    ["AUG", "AUGUST", "OGO", "OGOS"], ["SEP", "SEPT", "SEPTEMBER"], ["OCT", "OCTOBER", "OKT", "OKTOBER"],
+    ["NOV", "NOVEMBER"], ["DEC", "DECEMBER", "DIS", "DISEMBER"]
+  ];
+  const EXCEL_EPOCH = Date.UTC(1899, 11, 30); // Excel serial day 0 (includes the 1900 leap-year bug)
+  const ADDRESS_ABBREVIATIONS = { JLN: "JALAN", LRG: "LORONG", PSN: "PERSIARAN", TMN: "TAMAN", BDR: "BANDAR", KG: "KAMPUNG", SEK: "SEKSYEN" };
+  const ADDRESS_AREA_WORDS = ["TAMAN", "TMN", "BANDAR", "BDR", "KAMPUNG", "KG", "DESA", "SEKSYEN", "SEK", "PANGSAPURI", "KONDOMINIUM", "APARTMENT", "RESIDENSI"];
+  
+  
+  // --- 1. Parsers ---
+  
+  function normalizeType(text) {
+    // Ignores case and all spaces
+    return text.toUpperCase().replace(/\s/g, '');
+  }
+  
+  /**
+   * Structured parser for Malaysian addresses, e.g.
+   * "No. 12A, Jalan Meranti 3, Taman Meranti, 43000 Kajang".
+   * Returns { street, taman, houseNumber, suffix, unit, issue, suffixIsNext }.
+   * houseNumber is the number used for the pattern (null if none was found,
+   * or only a lot number); suffixIsNext is set when "12A" was read as 13;
+   * issue explains why the address could not be read confidently.
+   * @param {Object} [options] - { aSuffixIsNext } treat "12A" as house 13
+   */
+  function parseAddress(cellText, options = DEFAULT_ADDRESS_OPTIONS) {
+    const text = String(cellText).replace(/\s*[\r\n]+\s*/g, ', ').trim();
+    const upper = text.toUpperCase();
+    const parts = text.split(',').map(part => part.trim()).filter(part => part !== '');
+    
+    const result = { street: '', taman: '', houseNumber: null, suffix: '', unit: '', issue: null, suffixIsNext: false };
+    
+    // Street and taman names
+    const streetPattern = new RegExp(`\\b(?:${ADDRESS_STREET_WORDS.join('|')})\\b.*`, 'i');
+    const tamanPattern = new RegExp(`\\b(?:${ADDRESS_AREA_WORDS.join('|')})\\b.*`, 'i');
+    const housePrefix = /\b(?:NO|NOMBOR|NUM)\b\.?\s*:?\s*/i;
+    
+    for (const part of parts) {
+      const streetMatch = !result.street && part.match(streetPattern);
+      if (streetMatch) {
+        // "Jalan 5/2 No. 8": the street ends where the house number starts
+        result.street = streetMatch[0].split(housePrefix)[0].trim();
+        continue;
+      }
+      const tamanMatch = !result.taman && part.match(tamanPattern);
+      if (tamanMatch) {
+        result.taman = tamanMatch[0].replace(/\s+\d{5}\b.*$/, '').trim();
+      }
+    }
+    
+    // Find the text that holds the house number
+    let token = null;
+    const noMatch = upper.match(/\b(?:NO|NOMBOR|NUM)\b\.?\s*:?\s*([A-Z]{0,3}-?\d[\dA-Z\-\/]*(?:\s*(?:&|DAN|AND)\s*\d+[A-Z]?)?)/);
+    const lotMatch = upper.match(/\bLOT\b\.?\s*(?:NO\b\.?\s*)?(\d+)/);
+    
+    if (noMatch) {
+      token = noMatch[1];
+    } else if (lotMatch) {
+      // A lot number says nothing about the house's place along the street
+      result.issue = t("address.lot", { lot: lotMatch[1] });
+      return result;
+    } else {
+      // Skip street, taman and postcode parts; the house number is in what is left
+      for (const part of parts) {
+        const remainder = part
+          .replace(streetPattern, '')
+          .replace(tamanPattern, '')
+          .replace(/\b\d{5}\b.*$/, '')
+          .trim();
+        if (/\d/.test(remainder)) {
+          token = remainder.toUpperCase();
+          break;
+        }
+      }
+    }
+    
+    if (!token) {
+      result.issue = t("address.none");
+      return result;
+    }
+    token = token.trim();
+    
+    // Condominium unit, e.g. "B-12-3" (block-floor-unit)
+    const condoMatch = token.match(/^([A-Z]{1,3})-(\d+)-(\d+[A-Z]?)\b/);
+    if (condoMatch) {
+      result.unit = condoMatch[0];
+      result.issue = t("address.condo", { unit: condoMatch[0] });
+      return result;
+    }
+    
+    // Several houses, e.g. "12 & 14"
+    const multiMatch = token.match(/^(\d+)\s*([A-Z]?)\s*(?:&|DAN|AND)\s*(\d+)/);
+    if (multiMatch) {
+      result.houseNumber = parseInt(multiMatch[1], 10);
+      result.suffix = multiMatch[2];
+      result.issue = t("address.several", { first: `${multiMatch[1]}${multiMatch[2]}`, second: multiMatch[3], house: multiMatch[1] });
+      return result;
+    }
+    
+    // House number with optional suffix and unit, e.g. "12", "12A", "3A-1"
+    const houseMatch = token.match(/^(\d+)\s*([A-Z]?)(?:\s*-\s*(\d+[A-Z]?))?(?![\dA-Z])/);
+    if (!houseMatch) {
+      result.issue = t("address.unclear", { text });
+      return result;
+    }
+    
+    result.houseNumber = parseInt(houseMatch[1], 10);
+    result.suffix = houseMatch[2];
+    result.unit = houseMatch[3] || '';
+    
+    if (result.suffix === 'A' && options.aSuffixIsNext) {
+      // Developers often skip a number (e.g. 13) and use 12A in its place
+      result.houseNumber += 1;
+      result.suffixIsNext = true;
+    } else if (result.suffix) {
+      result.issue = t("address.suffix", { token: `${houseMatch[1]}${result.suffix}`, house: result.houseNumber });
+    }
+    
+    if (result.unit) {
+      result.issue = t("address.unit", { token: token.split(/[,\s]/)[0], house: result.houseNumber });
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Normalises a street or taman name for grouping, e.g. "Jln. Meranti  3" -> "JALAN MERANTI 3"
+   */
+  function normalizePlaceName(text) {
+    return String(text)
+      .toUpperCase()
+      .replace(/[.,]/g, ' ')
+      .replace(/\b[A-Z]+\b/g, word => ADDRESS_ABBREVIATIONS[word] || word)
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+  
+  /**
+   * Groups an address by street, and by taman where the address has one
+   */
+  function getStreetKey(address) {
+    return [normalizePlaceName(address.street), normalizePlaceName(address.taman)]
+      .filter(Boolean)
+      .join(' · ');
+  }
+  
+  function parseHouseNumber(cellText, options = DEFAULT_ADDRESS_OPTIONS) {
+    const address = parseAddress(cellText, options);
+    return address.houseNumber === null ? null : address.houseNumber.toString();
+  }
+  
+  /**
+   * *** THIS IS THE FIX (Bug 1) ***
+   * Smart parser for Title Numbers.
+   * Finds the LAST number with 1 OR MORE digits.
+   */
+  function parseTitleNumber(cellText) {
+    // Find all sequences of 1 or more digits
+    const numMatches = cellText.match(/\d+/g); 
+    
+    if (!numMatches) {
+      return null; // No number found
+    }
+    
+    // Return the *last* one found in the string
+    return numMatches[numMatches.length - 1];
+  }
+  
+  /**
+   * *** THIS IS THE FIX (Bug 2) ***
+   * Smart parser for Title Indication.
+   * Grabs all text before the LAST number.
+   */
+  function parseTitleIndication(cellText) {
+    const numMatches = cellText.match(/\d+/g);
+    if (!numMatches) {
+      return ""; // No number, so no indication
+    }
+    
+    const lastNum = numMatches[numMatches.length - 1];
+    const lastNumIndex = cellText.lastIndexOf(lastNum);
+    
+    // The indication is everything before it
+    return cellText.substring(0, lastNumIndex).trim();
+  }
+  
+  /**
+   * Reads a transaction date. Understands Excel serial numbers, "12 Jan 2020",
+   * "12-Ogos-2020", "Mei 12, 2020", "12/08/2020" (day first) and "2020-08-12".
+   * Returns a local-midnight Date, or null if the value is not a valid date.
+   * @param {boolean} [allowSerial] - Accept plain numbers as Excel serial dates
+   */
+  function parseExcelDate(value, allowSerial = true) {
+    if (value instanceof Date) return isNaN(value) ? null : value;
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim().toUpperCase();
+    if (!text) return null;
+    
+    // Excel serial date, e.g. 43890 (29 Feb 2020); five digits covers 1927-2173
+    if (/^\d{5}(\.\d+)?$/.test(text)) {
+      if (!allowSerial) return null;
+      const utc = new Date(EXCEL_EPOCH + Math.floor(Number(text)) * 86400000);
+      return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+    }
+    
+    let day, month, year;
+    let match;
+    if ((match = text.match(/^(\d{4})[-\/.](\d{1,2})[-\/.](\d{1,2})(?:[T\s].*)?$/))) {
+      [, year, month, day] = match;
+    } else if ((match = text.match(/^(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{2}|\d{4})$/))) {
+      [, day, month, year] = match;
+    } else if ((match = text.match(/^(\d{1,2})[\s\-\/.]*([A-Z]+)\.?[\s\-\/.,]*(\d{2}|\d{4})$/))) {
+      [, day, month, year] = match;
+      month = parseMonthName(month);
+    } else if ((match = text.match(/^([A-Z]+)\.?\s*(\d{1,2}),?\s*(\d{4})$/))) {
+      [, month, day, year] = match;
+      month = parseMonthName(month);
+    } else {
+      return null;
+    }
+    
+    day = Number(day);
+    month = Number(month);
+    year = Number(year);
+    if (year < 100) year += year < 50 ? 2000 : 1900;
+    if (!month || month > 12 || !day) return null;
+    
+    const date = new Date(year, month - 1, day);
+    // Reject overflowing dates such as 31/02/2020
+    return date.getDate() === day ? date : null;
+  }
+  
+  /**
+   * Returns the 1-based month for an English or Malay month name, or 0
+   */
+  function parseMonthName(name) {
+    const idx = MONTH_NAMES.findIndex(names => names.includes(name));
+    return idx + 1;
+  }
+  
+  /**
+   * Formats a date as "12 Aug 2020" in the interface language
+   */
+  function formatDate(date) {
+    return i18n.formatDate(date);
+  }
+  
+  
+  // --- 2. Workbook Reading ---
+  
+  /**
+   * Splits CSV or TSV text into rows of cells. The delimiter is taken from the
+   * first line (tab, then semicolon, then comma); quoted cells may contain
+   * delimiters, doubled quotes and line breaks.
+   */
+  function parseDelimitedText(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const delimiter = firstLine.includes('\t') ? '\t' : (firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',');
+    
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"' && cell === '') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(cell.trim());
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell.trim());
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    
+    if (cell !== '' || row.length > 0) {
+      row.push(cell.trim());
+      rows.push(row);
+    }
+    
+    return rows;
+  }
+  
+  /**
+   * Returns one sheet of a SheetJS workbook as an array of rows
+   * @param {Object} xlsx - The SheetJS library
+   */
+  function getSheetRows(xlsx, workbook, sheetIndex) {
+    const sheetName = workbook.SheetNames[sheetIndex];
+    if (!sheetName) return [];
+    
+    // Read from A1 so row and column numbers match Excel, even when the
+    // sheet's used range starts further down or to the right
+    const worksheet = workbook.Sheets[sheetName];
+    const range = xlsx.utils.decode_range(worksheet['!ref'] || 'A1');
+    range.s = { r: 0, c: 0 };
+    return xlsx.utils.sheet_to_json(worksheet, { header: 1, range, blankrows: true });
+  }
+  
+  /**
+   * Swaps rows and columns, so one-transaction-per-row tables match the JPPH layout
+   */
+  function transposeRows(rows) {
+    const width = Math.max(0, ...rows.map(row => row.length));
+    return Array.from({ length: width }, (_, col) => rows.map(row => row[col]));
+  }
+  
+  /**
+   * Locates the house, date and title rows from their labels
+   * (e.g. "Alamat", "Tarikh", "Hakmilik").
+   * When a label matches several rows, the row with the most parseable cells wins.
+   * Returns a mapping, or null if the house or title row is not found.
+   */
+  function detectTemplate(data) {
+    // Plain numbers only count as dates (Excel serials) in the date row itself
+    const isDate = (cell) => parseExcelDate(cell) !== null;
+    const isTextDate = (cell) => parseExcelDate(cell, false) !== null;
+    const cellMatchers = {
+      houseRow: (cell) => /\d/.test(cell) && !isTextDate(cell),
+      dateRow: isDate,
+      titleRow: (cell) => parseTitleNumber(cell) !== null && !isTextDate(cell)
+    };
+    
+    const mapping = { name: "Auto-detected", houseRow: 0, dateRow: 0, titleRow: 0, firstColumn: 0 };
+    let labelColumn = 0;
+    
+    for (const [key, keywords] of Object.entries(TEMPLATE_ROW_LABELS)) {
+      let best = null;
+      
+      data.forEach((row, r) => {
+        if (!row) return;
+        const labelCols = Math.min(row.length, TEMPLATE_LABEL_COLUMNS);
+        for (let col = 0; col < labelCols; col++) {
+          const label = String(row[col] ?? '').toLowerCase();
+          if (!keywords.some(keyword => label.includes(keyword))) continue;
+          
+          const score = row.slice(col + 1)
+            .filter(cell => cell !== undefined && cell !== null && String(cell).trim() !== '')
+            .filter(cell => cellMatchers[key](String(cell)))
+            .length;
+          if (score > 0 && (!best || score > best.score)) {
+            best = { row: r, col, score };
+          }
+          break;
+        }
+      });
+      
+      if (best) {
+        mapping[key] = best.row + 1;
+        labelColumn = Math.max(labelColumn, best.col);
+      }
+    }
+    
+    if (!mapping.houseRow || !mapping.titleRow) return null;
+    
+    // Data starts at the first title cell to the right of the labels
+    const titleLine = data[mapping.titleRow - 1];
+    for (let col = labelColumn + 1; col < titleLine.length; col++) {
+      const cell = String(titleLine[col] ?? '');
+      if (cellMatchers.titleRow(cell)) {
+        mapping.firstColumn = col + 1;
+        break;
+      }
+    }
+    
+    return mapping.firstColumn ? mapping : null;
+  }
+  
+  /**
+   * Reads the house/date/title rows of a sheet into data records
+   * @param {Array} data - Sheet rows from sheet_to_json
+   * @param {Object} mapping - 1-based row/column numbers; dateRow 0 means no date row,
+   *   and with dateOptional a record does not need a date
+   * @param {Object} source - { file, sheet } the rows came from
+   * @param {Object} [addressOptions] - See parseAddress()
+   */
+  function processExcelData(data, mapping, source, addressOptions = DEFAULT_ADDRESS_OPTIONS) {
+    const lastRow = Math.max(mapping.houseRow, mapping.dateOptional ? 0 : mapping.dateRow, mapping.titleRow);
+    if (data.length < lastRow) {
+      return [];
+    }
+    
+    const houseLine = data[mapping.houseRow - 1] || [];
+    const dateLine = mapping.dateRow ? (data[mapping.dateRow - 1] || []) : [];
+    const titleLine = data[mapping.titleRow - 1] || [];
+    
+    const records = [];
+    
+    for (let i = mapping.firstColumn - 1; i < houseLine.length; i++) {
+      try {
+        const houseCell = String(houseLine[i] || "");
+        const dateValue = dateLine[i];
+        const dateCell = String(dateValue ?? "").trim();
+        const titleCell = String(titleLine[i] || "");
+        
+        if (houseCell && titleCell && (dateCell || !mapping.dateRow || mapping.dateOptional)) {
+          const address = parseAddress(houseCell, addressOptions);
+          const indication = parseTitleIndication(titleCell); 
+          const titleNum = parseTitleNumber(titleCell);
+          const dateObj = parseExcelDate(dateValue);
+          
+          // Rows whose address cannot be read are kept and flagged, not skipped
+          if (titleNum) {
+            records.push({ 
+              index: i,
+              houseRaw: houseCell,
+              house: address.houseNumber === null ? '' : address.houseNumber.toString(), 
+              title: titleNum, 
+              type: indication, 
+              date: dateObj,
+              houseNum: address.houseNumber, 
+              titleNum: parseInt(titleNum),
+              address,
+              streetKey: getStreetKey(address),
+              issue: address.issue,
+              sources: [source]
+            });
+          }
+        }
+      } catch (colErr) {
+        console.warn(`Skipped a column (index ${i}) due to a processing error:`, colErr.message);
+      }
+    }
+    
+    return records;
+  }
+  
+  /**
+   * Reads one JPPH sheet (an array of rows, e.g. from XLSX sheet_to_json with header: 1).
+   * Tries the given mapping, or else detects the layout: JPPH rows, one transaction
+   * per row, the standard JPPH template and, for tables, plain house/title columns.
+   * In a table (`table: true`) a row with no date is still read.
+   * Returns { records, mapping } where mapping is the layout that was used (null if none).
+   * @param {Object} [options] - { mapping, source: { file, sheet }, table, addressOptions }
+   */
+  function parseJpphWorkbook(rows, options = {}) {
+    const source = options.source || { file: '', sheet: '' };
+    const addressOptions = options.addressOptions || DEFAULT_ADDRESS_OPTIONS;
+    
+    if (options.mapping) {
+      const records = processExcelData(rows, options.mapping, source, addressOptions);
+      return { records, mapping: records.length > 0 ? options.mapping : null };
+    }
+    
+    // The sheet as laid out, then the same sheet with one transaction per row
+    const transposed = transposeRows(rows);
+    for (const data of [rows, transposed]) {
+      const detected = detectTemplate(data);
+      // Tables (CSV, pasted text) often leave the date blank; the row is still a sale
+      if (detected && options.table) detected.dateOptional = true;
+      const records = detected ? processExcelData(data, detected, source, addressOptions) : [];
+      if (records.length > 0) return { records, mapping: detected };
+    }
+    
+    const candidates = [[rows, DEFAULT_TEMPLATE]];
+    // A table without headers: assume house, title and date columns, in that order
+    if (options.table) candidates.push([transposed, TABLE_COLUMN_TEMPLATE]);
+    
+    for (const [data, mapping] of candidates) {
+      const records = processExcelData(data, mapping, source, addressOptions);
+      if (records.length > 0) return { records, mapping };
+    }
+    return { records: [], mapping: null };
+  }
+  
+  /**
+   * Identifies one sale for merging duplicates across imports: the street,
+   * title type, house (keeping "12A" read as 13 apart from a real 13) and title
+   */
+  function getRecordKey(record) {
+    const address = record.address;
+    const suffix = address && address.suffixIsNext && address.houseNumber === record.houseNum ? address.suffix : "";
+    return [record.streetKey || "", normalizeType(record.type || ""), `${record.houseNum ?? record.houseRaw}${suffix}`, record.titleNum].join("|");
+  }
+  
+  /**
+   * Data-quality pass over imported records. Within each street and title type
+   * it finds:
+   * - duplicate: the same house and title more than once
+   * - house: one house with different titles
+   * - title: one title on different houses
+   * - order: a title against the order of the houses either side of it
+   * - suffix: a house read as the next number (12A as 13) next to a real house of that number
+   * Returns [{ kind, records, message }]; records without a house or title are skipped.
+   */
+  function findDataIssues(records) {
+    const groups = groupRecords(
+      records.filter(record => record.houseNum !== null && record.titleNum !== null),
+      record => `${record.streetKey || ""}|${normalizeType(record.type)}`
+    );
+    // "12A" read as 13 is still a different house from a real 13
+    const isSuffixHouse = record => !!record.address && !!record.address.suffixIsNext && record.address.houseNumber === record.houseNum;
+    const houseKey = record => `${record.houseNum}${isSuffixHouse(record) ? record.address.suffix : ""}`;
+    const houseLabel = record => isSuffixHouse(record) ? `${record.houseNum - 1}${record.address.suffix}` : `${record.houseNum}`;
+    
+    const issues = [];
+    groups.forEach(group => {
+      group.filter(isSuffixHouse).forEach(record => {
+        const real = group.filter(other => other.houseNum === record.houseNum && !isSuffixHouse(other));
+        if (real.length === 0) return;
+        issues.push({
+          kind: "suffix",
+          records: [record, ...real],
+          message: t("issue.suffix", { token: houseLabel(record), house: record.houseNum })
+        });
+      });
+      
+      const pairs = groupRecords(group, record => `${houseKey(record)}|${record.titleNum}`);
+      pairs.forEach(same => {
+        if (same.length > 1) {
+          issues.push({ kind: "duplicate", records: same, message: t("issue.duplicate", { house: same[0].houseNum, title: same[0].titleNum, count: same.length }) });
+        }
+      });
+      
+      // One record per pair, so a duplicate is not also counted as a conflict
+      const unique = Array.from(pairs.values()).map(same => same[0]);
+      groupRecords(unique, houseKey).forEach(same => {
+        if (same.length < 2) return;
+        const titles = same.map(record => record.titleNum).sort((a, b) => a - b);
+        issues.push({
+          kind: "house",
+          records: group.filter(record => houseKey(record) === houseKey(same[0])),
+          message: t("issue.house", { house: same[0].houseNum, count: same.length, titles: titles.join(", ") })
+        });
+      });
+      groupRecords(unique, record => record.titleNum).forEach(same => {
+        if (same.length < 2) return;
+        const houses = same.slice().sort((a, b) => a.houseNum - b.houseNum).map(houseLabel);
+        issues.push({
+          kind: "title",
+          records: group.filter(record => record.titleNum === same[0].titleNum),
+          message: t("issue.title", { title: same[0].titleNum, count: same.length, houses: houses.join(", ") })
+        });
+      });
+      
+      // Houses with conflicting titles are already flagged, so the order is checked without them
+      const houseCounts = groupRecords(unique, record => record.houseNum);
+      [0, 1].forEach(parity => {
+        const side = unique
+          .filter(record => record.houseNum % 2 === parity && houseCounts.get(record.houseNum).length === 1)
+          .sort((a, b) => a.houseNum - b.houseNum);
+        issues.push(...findOrderIssues(side));
+      });
+    });
+    
+    return issues;
+  }
+  
+  /**
+   * Finds titles against the order of their neighbours along one side of a
+   * street (records sorted by house). Titles usually rise (or fall) with the
+   * house number; a title is flagged when the houses either side of it follow
+   * that direction but it does not fit between them. The first and last
+   * houses are checked against the next two houses that were not flagged.
+   */
+  function findOrderIssues(side) {
+    const steps = side.slice(1).map((record, i) => Math.sign(record.titleNum - side[i].titleNum));
+    const direction = Math.sign(steps.reduce((sum, step) => sum + step, 0));
+    if (direction === 0 || side.length < 3) return [];
+    
+    const inOrder = (a, b) => Math.sign(b.titleNum - a.titleNum) === direction;
+    const flagged = new Map(); // record -> the two houses it was checked against
+    
+    for (let i = 1; i < side.length - 1; i++) {
+      const [a, record, b] = side.slice(i - 1, i + 2);
+      if (inOrder(a, b) && (inOrder(record, a) || inOrder(b, record))) {
+        flagged.set(record, [a, b]);
+      }
+    }
+    
+    const ends = [
+      { record: side[0], others: side.slice(1), outOfOrder: (record, a) => inOrder(a, record) },
+      { record: side[side.length - 1], others: side.slice(0, -1).reverse(), outOfOrder: (record, a) => inOrder(record, a) }
+    ];
+    ends.forEach(({ record, others, outOfOrder }) => {
+      const [a, b] = others.filter(other => !flagged.has(other));
+      if (!b) return;
+      const followsDirection = record === side[0] ? inOrder(a, b) : inOrder(b, a);
+      if (followsDirection && outOfOrder(record, a)) {
+        flagged.set(record, [a, b].sort((p, q) => p.houseNum - q.houseNum));
+      }
+    });
+    
+    return side.filter(record => flagged.has(record)).map(record => {
+      const [a, b] = flagged.get(record);
+      return {
+        kind: "order",
+        records: [record],
+        message: t("issue.order", { title: record.titleNum, house: record.houseNum, houseA: a.houseNum, titleA: a.titleNum, houseB: b.houseNum, titleB: b.titleNum })
+      };
+    });
+  }
+  
+  /**
+   * Groups records into a Map of key -> records, in their original order
+   */
+  function groupRecords(records, keyFn) {
+    const groups = new Map();
+    records.forEach(record => {
+      const key = keyFn(record);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(record);
+    });
+    return groups;
+  }
+  
+  
+  // --- 3. Prediction ---
+  
+  /**
+   * Returns the display name of a numbering scheme, e.g. "Odd/even sides"
+   */
+  function getSchemeLabel(scheme) {
+    return t(`scheme.${scheme}`);
+  }
+  
+  /**
+   * Returns which houses a numbering scheme fits together and their
+   * house -> n transform, named by `transform` ("even", "odd", "consecutive"
+   * or "mirrored"). targetParity is 0 for an even target, 1 for odd.
+   * - parity: each side of the street is titled on its own
+   * - consecutive: titles run 1, 2, 3... across both sides
+   * - mirrored: facing houses (1 and 2, 3 and 4...) are titled as a pair
+   */
+  function getSchemeTransform(scheme, targetParity) {
+    if (scheme === "consecutive") {
+      return { filter_fn: () => true, transform: "consecutive", transform_fn: (x) => x, transform_name: t("transform.consecutive") };
+    }
+    if (scheme === "mirrored") {
+      return { filter_fn: () => true, transform: "mirrored", transform_fn: (x) => Math.ceil(x / 2), transform_name: t("transform.mirrored") };
+    }
+    const filter_fn = (x) => x % 2 === targetParity;
+    if (targetParity === 0) { // Even
+      return { filter_fn, transform: "even", transform_fn: (x) => x / 2, transform_name: t("transform.even") };
+    }
+    // Odd
+    return { filter_fn, transform: "odd", transform_fn: (x) => (x + 1) / 2, transform_name: t("transform.odd") };
+  }
+  
+  /**
+   * Fits the pattern for a target of the given parity (0 = even, 1 = odd)
+   * with the numbering scheme from the options. The "auto" scheme fits every
+   * scheme and keeps the one whose titles lie closest to its line, or one
+   * using more houses if it fits about as well. It needs enough titles on the
+   * target's side, and only tries the schemes across both sides when both are known.
+   * Returns the fit, or an object with an `error` message.
+   * @param {Object} [options] - { segmented, outlierMode: "classic" | "robust",
+   *   scheme: "auto" | "parity" | "consecutive" | "mirrored" }
+   */
+  function fitPattern(targetParity, dataPoints, options = {}) {
+    const { scheme } = { ...DEFAULT_FIT_OPTIONS, ...options };
+    
+    if (scheme !== "auto") {
+      const fit = fitSchemePattern(scheme, targetParity, dataPoints, options);
+      if (!fit.error) {
+        fit.scheme_message = t("scheme.chosen", { scheme: getSchemeLabel(scheme) });
+        applyValidation(fit, targetParity, dataPoints, options);
+      }
+      return fit;
+    }
+    
+    // Schemes across both sides can only be told apart (and trusted) when
+    // both sides are known, and never stand in for a side without enough titles
+    const parity_fit = fitSchemePattern("parity", targetParity, dataPoints, options);
+    if (parity_fit.error) return parity_fit;
+    const both_sides = dataPoints.some(point => point.house % 2 === 0) && dataPoints.some(point => point.house % 2 === 1);
+    
+    const candidates = (both_sides ? NUMBERING_SCHEMES : ["parity"])
+      .map(name => ({ name, fit: name === "parity" ? parity_fit : fitSchemePattern(name, targetParity, dataPoints, options) }))
+      .filter(candidate => !candidate.fit.error)
+      .map(candidate => ({ ...candidate, spread: getResidualSpread(candidate.fit) }));
+    
+    // The closest fit wins, unless a scheme using more houses fits about as well
+    candidates.sort((a, b) => a.spread - b.spread);
+    const best = candidates[0];
+    const chosen = candidates.find(candidate =>
+      candidate.fit.point_count > best.fit.point_count && candidate.spread - best.spread <= SCHEME_TIE_TOLERANCE
+    ) || best;
+    
+    const formatSpread = (candidate) => t("scheme.spread", { spread: formatNumber(candidate.spread, 1), scheme: getSchemeLabel(candidate.name).toLowerCase() });
+    let reason;
+    if (!both_sides) {
+      reason = t("scheme.reasonOneSide");
+    } else if (candidates.length === 1) {
+      reason = t("scheme.reasonOnly");
+    } else if (chosen !== best) {
+      reason = t("scheme.reasonMoreHouses", {
+        other: getSchemeLabel(best.name).toLowerCase(),
+        spread: formatNumber(chosen.spread, 1),
+        otherSpread: formatNumber(best.spread, 1),
+        count: chosen.fit.point_count,
+        otherCount: best.fit.point_count
+      });
+    } else if (candidates[1].spread.toFixed(1) === best.spread.toFixed(1)) {
+      reason = t("scheme.reasonEqual", { spread: formatNumber(best.spread, 1) });
+    } else {
+      const others = candidates.filter(candidate => candidate !== chosen);
+      reason = t("scheme.reasonClosest", { spread: formatNumber(chosen.spread, 1), others: formatList(others.map(formatSpread)) });
+    }
+    
+    chosen.fit.scheme_message = t("scheme.detected", { scheme: getSchemeLabel(chosen.name), reason });
+    applyValidation(chosen.fit, targetParity, dataPoints, options);
+    return chosen.fit;
+  }
+  
+  /**
+   * Leave-one-out validation: holds out each point the fit used, fits the same
+   * scheme to the rest and predicts the held-out title. Points that fall
+   * between two phases once held out are not tested.
+   * Returns { tested, hits, hit_rate, mean_error, max_error, grade } where grade is
+   * "good", "fair" or "poor"; tested is 0 when there are too few points to check.
+   */
+  function crossValidateFit(fit, targetParity, dataPoints, options) {
+    const group = dataPoints.filter(point => fit.filter_fn(point.house));
+    const used = fit.segments ? fit.segments.flatMap(segment => segment.inliers) : fit.inliers;
+    const errors = [];
+    
+    if (group.length > MIN_POINTS) {
+      used.forEach(point => {
+        const held_out = group.findIndex(other => other.house === point.house && other.title === point.title);
+        const rest_fit = fitSchemePattern(fit.scheme, targetParity, group.filter((_, idx) => idx !== held_out), options);
+        // A house at the edge of a phase ends up between phases once held out,
+        // where either phase could be meant; that is not a fair test of the fit
+        if (!rest_fit.error && !getRegressionForHouse(rest_fit, point.house).between) {
+          errors.push(Math.abs(predictFromFit(rest_fit, point.house) - point.title));
+        }
+      });
+    }
+    
+    if (errors.length === 0) {
+      return { tested: 0, hits: 0, hit_rate: 0, mean_error: null, max_error: null, grade: "poor" };
+    }
+    
+    const hits = errors.filter(error => error === 0).length;
+    const hit_rate = hits / errors.length;
+    const mean_error = errors.reduce((sum, error) => sum + error, 0) / errors.length;
+    const max_error = Math.max(...errors);
+    
+    let grade = "fair";
+    if (hit_rate >= VALIDATION_GOOD_HIT_RATE && max_error <= VALIDATION_GOOD_MAX_ERROR) {
+      grade = "good";
+    } else if (hit_rate < VALIDATION_POOR_HIT_RATE || mean_error > VALIDATION_POOR_MEAN_ERROR) {
+      grade = "poor";
+    }
+    return { tested: errors.length, hits, hit_rate, mean_error, max_error, grade };
+  }
+  
+  /**
+   * Validates a fit and sets its level and message from the result:
+   * success when held-out titles are predicted well (info if outliers had to be
+   * ignored), info when they are close, warning otherwise.
+   */
+  function applyValidation(fit, targetParity, dataPoints, options) {
+    const validation = crossValidateFit(fit, targetParity, dataPoints, options);
+    fit.validation = validation;
+    
+    if (validation.tested === 0) {
+      fit.analysis_level = 'warning';
+      fit.analysis_message += `<br>${t("validation.tooFew")}`;
+      return;
+    }
+    
+    const summary = t("validation.summary", {
+      hits: validation.hits,
+      tested: validation.tested,
+      mean: formatNumber(validation.mean_error, 1),
+      max: validation.max_error
+    });
+    if (validation.grade === "good") {
+      fit.analysis_level = fit.outliers.length > 0 ? 'info' : 'success';
+      fit.analysis_message += `<br>${summary} ${t("validation.good")}`;
+    } else if (validation.grade === "fair") {
+      fit.analysis_level = 'info';
+      fit.analysis_message += `<br>${summary} ${t("validation.fair")}`;
+    } else {
+      fit.analysis_level = 'warning';
+      fit.analysis_message += `<br>${summary} ${t("validation.poor")}`;
+    }
+  }
+  
+  /**
+   * Typical distance of the used titles from their fitted line(s), in title
+   * numbers (a standard deviation). Zero when there are too few points to tell.
+   */
+  function getResidualSpread(fit) {
+    const lines = fit.segments || [{ regression: fit.regression, inliers: fit.inliers }];
+    let ss_residual = 0;
+    let count = 0;
+    lines.forEach(line => {
+      line.inliers.forEach(point => {
+        ss_residual += (point.title - ((line.regression.m * point.n) + line.regression.c)) ** 2;
+      });
+      count += line.inliers.length;
+    });
+    const dof = count - (2 * lines.length);
+    return dof > 0 ? Math.sqrt(ss_residual / dof) : 0;
+  }
+  
+  /**
+   * Filters the data points to the houses of one numbering scheme, fits the
+   * regression and applies the outlier auto-correction.
+   * Returns the fit, or an object with an `error` message.
+   */
+  function fitSchemePattern(scheme, targetParity, dataPoints, options = {}) {
+    const { segmented, outlierMode } = { ...DEFAULT_FIT_OPTIONS, ...options };
+    const { filter_fn, transform, transform_fn, transform_name } = getSchemeTransform(scheme, targetParity);
+    const scheme_info = { scheme, scheme_label: getSchemeLabel(scheme), filter_fn, transform, transform_fn, transform_name };
+    
+    // A. AUTO-FILTER Data Points
+    const filtered_x = []; 
+    const filtered_y = []; 
+    const filtered_types = [];
+    
+    dataPoints.forEach(point => {
+      if (filter_fn(point.house)) {
+        filtered_x.push(point.house);
+        filtered_y.push(point.title);
+        filtered_types.push(point.type || "");
+      }
+    });
+
+    // B. Validation on Filtered Data
+    if (filtered_x.length < MIN_POINTS) {
+      const houses = scheme === "parity" ? t(targetParity === 0 ? "fit.evenHouses" : "fit.oddHouses") : t("fit.anyHouses");
+      return { error: t("fit.notEnoughData", { count: MIN_POINTS, houses }) };
+    }
+
+    // C. Transform 'x' values
+    const x_prime_values = filtered_x.map(transform_fn);
+    
+    // D. Main Regression (Attempt 1)
+    let main_regression = calculateRegression(x_prime_values, filtered_y);
+    if (!main_regression) {
+        return { error: t("fit.identical") };
+    }
+    
+    let r2_percent_initial = main_regression.r2 * 100;
+    
+    // E. Segmented Fit for streets titled in phases
+    if (segmented) {
+      const segmented = fitSegments(x_prime_values, filtered_y, filtered_x, filtered_types);
+      if (segmented) {
+        return {
+          ...segmented,
+          ...scheme_info,
+          point_count: filtered_x.length
+        };
+      }
+    }
+    
+    let final_regression = main_regression;
+    let final_r2_percent = r2_percent_initial;
+    let analysis_level = 'success';
+    let analysis_message = t("fit.straightLine", { r2: formatNumber(r2_percent_initial, 1) });
+
+    // F. Outlier Auto-Correction Logic
+    let outliers = [];
+    let inlier_indices = x_prime_values.map((_, idx) => idx);
+    
+    if (outlierMode === 'robust' && filtered_x.length >= ROBUST_MIN_POINTS) {
+      const robust = fitRobust(x_prime_values, filtered_y);
+      
+      if (robust && robust.outlier_indices.length > 0) {
+        outliers = robust.outlier_indices.map(idx => describeOutlier(
+          filtered_x[idx], filtered_y[idx], (robust.regression.m * x_prime_values[idx]) + robust.regression.c
+        ));
+        final_regression = robust.regression;
+        final_r2_percent = robust.regression.r2 * 100;
+        inlier_indices = robust.inlier_indices;
+        
+        if (final_r2_percent >= CONFIDENCE_THRESHOLD) {
+          analysis_level = 'info';
+          analysis_message = t("fit.outliersChanged", { outliers: formatOutlierList(outliers), from: formatNumber(r2_percent_initial, 1), to: formatNumber(final_r2_percent, 1) });
+        } else {
+          analysis_level = 'warning';
+          analysis_message = t("fit.inconsistentAfter", { outliers: formatOutlierList(outliers) });
+        }
+      } else if (r2_percent_initial < CONFIDENCE_THRESHOLD) {
+        analysis_level = 'warning';
+        analysis_message = t("fit.inconsistent");
+      }
+    } else if (r2_percent_initial < CONFIDENCE_THRESHOLD && filtered_x.length >= 3) {
+      const outlier_info = findOutlierByResidual(
+        x_prime_values, 
+        filtered_y, 
+        filtered_x, 
+        main_regression.m, 
+        main_regression.c
+      );
+      
+      const corrected_x_prime = x_prime_values.filter((_, idx) => idx !== outlier_info.outlier_index);
+      const corrected_y = filtered_y.filter((_, idx) => idx !== outlier_info.outlier_index);
+      
+      let corrected_regression = calculateRegression(corrected_x_prime, corrected_y);
+      
+      if (corrected_regression && (corrected_regression.r2 * 100) >= CONFIDENCE_THRESHOLD) {
+        const idx = outlier_info.outlier_index;
+        outliers = [describeOutlier(
+          outlier_info.outlier_house, filtered_y[idx], (corrected_regression.m * x_prime_values[idx]) + corrected_regression.c
+        )];
+        final_regression = corrected_regression;
+        final_r2_percent = corrected_regression.r2 * 100;
+        inlier_indices = inlier_indices.filter(i => i !== idx);
+        analysis_level = 'info'; 
+        analysis_message = t("fit.outliersImproved", { outliers: formatOutlierList(outliers), from: formatNumber(r2_percent_initial, 1), to: formatNumber(final_r2_percent, 1) });
+      
+      } else {
+        analysis_level = 'warning';
+        analysis_message = t("fit.inconsistent");
+      }
+    } else if (r2_percent_initial < CONFIDENCE_THRESHOLD) {
+      analysis_level = 'warning';
+      analysis_message = t("fit.needMoreData");
+    }
+    
+    return {
+      regression: final_regression,
+      ...scheme_info,
+      point_count: filtered_x.length,
+      analysis_level,
+      analysis_message,
+      r2_percent: final_r2_percent,
+      outliers,
+      inliers: inlier_indices.map(i => ({ house: filtered_x[i], n: x_prime_values[i], title: filtered_y[i], type: filtered_types[i] }))
+    };
+  }
+  
+  /**
+   * Returns the regression that applies to a target house number.
+   * For a segmented fit this is the phase containing (or nearest to) the target.
+   */
+  function getRegressionForHouse(fit, x_target) {
+    if (!fit.segments) {
+      return { regression: fit.regression, segment: null, between: false, inliers: fit.inliers };
+    }
+    
+    const n_target = fit.transform_fn(x_target);
+    let best = null;
+    let best_distance = Infinity;
+    
+    fit.segments.forEach(segment => {
+      let distance = 0;
+      if (n_target < segment.n_min) distance = segment.n_min - n_target;
+      if (n_target > segment.n_max) distance = n_target - segment.n_max;
+      if (distance < best_distance) {
+        best_distance = distance;
+        best = segment;
+      }
+    });
+    
+    // The target is "between" phases when known phases lie on both sides of it
+    const between = best_distance > 0
+      && fit.segments.some(segment => segment.n_max < n_target)
+      && fit.segments.some(segment => segment.n_min > n_target);
+    
+    return { regression: best.regression, segment: best, between, inliers: best.inliers };
+  }
+  
+  /**
+   * Applies a fitted pattern to a target house number
+   */
+  function predictFromFit(fit, x_target) {
+    const { regression } = getRegressionForHouse(fit, x_target);
+    const n_target = fit.transform_fn(x_target);
+    const y_target = (regression.m * n_target) + regression.c;
+    return Math.round(y_target);
+  }
+  
+  /**
+   * Predicts the title number of one house from known { house, title } points.
+   * Returns an object with an `error` message, or
+   * { house, title, formula, transform, transform_name, scheme, regression,
+   *   confidence: { level, r2_percent, validation, label },
+   *   outliers, message, interval, segment, between, fit }.
+   * Messages contain simple HTML (<b>, <ul>) for display.
+   * With the "neighbours" method the title is interpolated from the nearest
+   * known houses instead of read off the line; both are always compared.
+   * Points may carry a title `type`, which keeps the neighbours to the target's type.
+   * @param {Object} [options] - see fitPattern(), plus method: "regression" | "neighbours"
+   *   and type: the target's title type (see interpolateNeighbours())
+   */
+  function predictTitle(points, targetHouse, options = {}) {
+    const { method } = { ...DEFAULT_FIT_OPTIONS, ...options };
+    const house = parseInt(targetHouse, 10);
+    if (isNaN(house)) {
+      return { error: t("predict.noHouse") };
+    }
+    
+    const fit = fitPattern(house % 2, points, options);
+    if (fit.error) return fit;
+    
+    const { regression, segment, between, inliers } = getRegressionForHouse(fit, house);
+    const n_target = fit.transform_fn(house);
+    const line_title = predictFromFit(fit, house);
+    const neighbours = interpolateNeighbours(fit, house, options.type);
+    const use_neighbours = method === "neighbours" && !neighbours.error;
+    const interval = calculatePredictionInterval(regression, inliers, n_target, use_neighbours ? neighbours.estimate : undefined);
+    
+    let level = fit.analysis_level;
+    let message = fit.analysis_message;
+    if (segment) {
+      message += `<br>${t(between ? "predict.betweenPhases" : "predict.fromPhase", { house, phase: segment.phase })}`;
+    }
+    
+    // Compare the line with the nearest neighbours and flag any disagreement
+    if (neighbours.error) {
+      if (method === "neighbours") {
+        message += `<br>${t("predict.lineInstead", { error: neighbours.error })}`;
+      }
+    } else {
+      message += `<br>${t(use_neighbours ? "predict.neighboursUsed" : "predict.neighbours", { title: neighbours.title, how: formatNeighbours(neighbours) })}`;
+      if (neighbours.title !== line_title) {
+        const line_range = calculatePredictionInterval(regression, inliers, n_target);
+        const outside = neighbours.title < line_range.low || neighbours.title > line_range.high;
+        message += `<br>${t("predict.disagree", { line: line_title, neighbours: neighbours.title, house })}`;
+        if (outside) {
+          level = 'warning';
+        } else if (level === 'success') {
+          level = 'info';
+        }
+      }
+    }
+    message += `<br>${fit.scheme_message}`;
+    
+    return {
+      house,
+      title: use_neighbours ? neighbours.title : line_title,
+      formula: use_neighbours ? t("predict.neighbourFormula", { title: neighbours.title, how: formatNeighbours(neighbours) }) : formatFormula(regression.m, regression.c),
+      transform: fit.transform,
+      transform_name: fit.transform_name,
+      scheme: fit.scheme,
+      method: use_neighbours ? "neighbours" : "regression",
+      regression,
+      neighbours,
+      confidence: {
+        level,
+        r2_percent: fit.r2_percent,
+        validation: fit.validation,
+        label: formatConfidence(fit.validation)
+      },
+      outliers: fit.outliers,
+      message,
+      interval,
+      segment,
+      between,
+      fit
+    };
+  }
+  
+  /**
+   * Predicts a house from its nearest known houses in the fitted group (so of
+   * the same parity for an odd/even street), skipping outliers: a straight line
+   * between the closest house on each side of the target, or through the two
+   * closest on one side when the target lies beyond the data.
+   * Only houses of the target's title type are used: `type` if given, else the
+   * type of the closest house that has one. Houses without a type always count.
+   * Returns { title, estimate, kind: "exact" | "between" | "beyond", neighbours },
+   * or an object with an `error` message.
+   */
+  function interpolateNeighbours(fit, house, type) {
+    const n_target = fit.transform_fn(house);
+    let known = fit.segments ? fit.segments.flatMap(segment => segment.inliers) : fit.inliers;
+    
+    let target_type = type ? normalizeType(type) : null;
+    if (!target_type) {
+      const closest = known
+        .filter(point => point.type)
+        .sort((a, b) => Math.abs(a.n - n_target) - Math.abs(b.n - n_target) || Math.abs(a.house - house) - Math.abs(b.house - house))[0];
+      target_type = closest ? normalizeType(closest.type) : null;
+    }
+    if (target_type) {
+      known = known.filter(point => !point.type || normalizeType(point.type) === target_type);
+    }
+    
+    const same = known.find(point => point.house === house);
+    if (same) {
+      return { title: same.title, estimate: same.title, kind: "exact", neighbours: [same] };
+    }
+    
+    // The closest house at each distinct position along the street
+    const byDistance = (a, b) => Math.abs(a.n - n_target) - Math.abs(b.n - n_target) || Math.abs(a.house - house) - Math.abs(b.house - house);
+    const closestPerPosition = (points) => {
+      const positions = new Map();
+      points.slice().sort(byDistance).forEach(point => {
+        if (!positions.has(point.n)) positions.set(point.n, point);
+      });
+      return Array.from(positions.values());
+    };
+    const below = closestPerPosition(known.filter(point => point.n < n_target));
+    const above = closestPerPosition(known.filter(point => point.n > n_target));
+    
+    let pair;
+    let kind = "between";
+    if (below.length > 0 && above.length > 0) {
+      pair = [below[0], above[0]];
+    } else {
+      pair = (below.length > 0 ? below : above).slice(0, 2);
+      kind = "beyond";
+      if (pair.length < 2) {
+        return { error: t("neighbours.notEnough", { house }) };
+      }
+    }
+    
+    const [a, b] = pair;
+    const estimate = a.title + ((b.title - a.title) * (n_target - a.n) / (b.n - a.n));
+    return {
+      title: Math.round(estimate),
+      estimate,
+      kind,
+      neighbours: pair.slice().sort((p, q) => p.house - q.house)
+    };
+  }
+  
+  /**
+   * Describes how a neighbour interpolation was made,
+   * e.g. "interpolated between House No. 10 (1005) and House No. 14 (1007)"
+   */
+  function formatNeighbours(result) {
+    const houses = formatList(result.neighbours.map(point => t("neighbours.house", { house: point.house, title: point.title })));
+    return t(`neighbours.${result.kind}`, { houses });
+  }
+  
+  /**
+   * Reverse lookup: finds the house numbers whose predicted title is closest to
+   * a title number. The pattern is fitted for even and for odd houses, as for a
+   * target house, and each fitted line is inverted.
+   * Returns an object with an `error` message, or
+   * { title, houses, known, matches, ambiguous, level, message } where houses
+   * are the most likely house numbers (the known ones, if the title is in the
+   * data) and matches are
+   * { house, side, predicted, difference, beyond, level, label } with the best
+   * first; beyond is how far a house lies past the known ones (0 among them).
+   * @param {Object} [options] - see fitPattern()
+   */
+  function findHousesForTitle(points, targetTitle, options = {}) {
+    const title = parseInt(targetTitle, 10);
+    if (isNaN(title)) {
+      return { error: t("reverse.noTitle") };
+    }
+    
+    const matches = [];
+    const notes = [];
+    [0, 1].forEach(parity => {
+      const side = parity === 0 ? "even" : "odd";
+      const fit = fitPattern(parity, points, options);
+      if (fit.error) {
+        notes.push(t("reverse.sideFailed", { side: t(`reverse.${side}`), error: fit.error }));
+        return;
+      }
+      const used = fit.segments ? fit.segments.flatMap(segment => segment.inliers) : fit.inliers;
+      const houses = used.map(point => point.house);
+      const low = Math.min(...houses);
+      const high = Math.max(...houses);
+      findClosestHouses(fit, parity, title).forEach(candidate => matches.push({
+        ...candidate,
+        side,
+        beyond: Math.max(0, low - candidate.house, candidate.house - high),
+        level: fit.analysis_level,
+        label: formatConfidence(fit.validation)
+      }));
+    });
+    
+    if (matches.length === 0) {
+      return { error: notes.join("<br>") || t("reverse.noHouse") };
+    }
+    
+    // Exact data beats the line, and a house among the known ones beats one beyond them
+    const known = points.filter(point => point.title === title).map(point => point.house).sort((a, b) => a - b);
+    matches.sort((a, b) => a.difference - b.difference || a.beyond - b.beyond || a.house - b.house);
+    const best = matches.filter(match => match.difference === matches[0].difference && match.beyond === matches[0].beyond);
+    // Every exact match counts towards ambiguity, also one beyond the known houses
+    const exact = matches.filter(match => match.difference === 0);
+    const exactBeyond = exact.filter(match => !best.includes(match));
+    const sides = known.length > 0 ? known.map(house => house % 2) : (exact.length > 0 ? exact : best).map(match => (match.side === "even" ? 0 : 1));
+    const ambiguous = sides.includes(0) && sides.includes(1);
+    const describe = (match) => t("reverse.match", { house: match.house, side: t(`reverse.${match.side}`), label: match.label.toLowerCase() });
+    
+    let level = best.some(match => match.level === "warning") ? "warning" : best[0].level;
+    let message;
+    if (known.length > 0) {
+      message = t("reverse.known", { title, houses: known.join(", ") });
+      level = ambiguous ? "warning" : "success";
+    } else if (matches[0].difference === 0) {
+      message = t("reverse.exact", { title, matches: formatList(best.map(describe)) });
+      if (exactBeyond.length > 0) {
+        message += `<br>${t("reverse.exactBeyond", { matches: formatList(exactBeyond.map(describe)) })}`;
+      }
+    } else {
+      const closest = best.map(match => t("reverse.matchAt", { match: describe(match), predicted: match.predicted }));
+      message = t("reverse.closest", { title, matches: formatList(closest), difference: matches[0].difference });
+      level = "warning";
+    }
+    if (known.length === 0 && best[0].beyond > 0) {
+      message += `<br>${t("reverse.beyond")}`;
+      if (level === "success") level = "info";
+    }
+    if (ambiguous) {
+      message += `<br>${t("reverse.ambiguous")}`;
+      level = "warning";
+    }
+    notes.forEach(note => { message += `<br>${note}`; });
+    
+    const houses = known.length > 0 ? known : best.map(match => match.house).sort((a, b) => a - b);
+    return { title, houses, known, matches, ambiguous, level, message };
+  }
+  
+  /**
+   * Inverts a fit: the houses of the given parity whose predicted title is
+   * closest to the title, as { house, predicted, difference }
+   */
+  function findClosestHouses(fit, parity, title) {
+    const lines = fit.segments ? fit.segments.map(segment => segment.regression) : [fit.regression];
+    // The transforms are (close to) straight lines, so invert them as such
+    const n_per_house = (fit.transform_fn(REVERSE_SPAN) - fit.transform_fn(0)) / REVERSE_SPAN;
+    const n_offset = fit.transform_fn(0);
+    
+    const candidates = new Map();
+    lines.filter(line => line.m !== 0).forEach(line => {
+      const house_estimate = (((title - line.c) / line.m) - n_offset) / n_per_house;
+      const first = Math.max(1, Math.floor(house_estimate) - REVERSE_SEARCH_HOUSES);
+      for (let house = first; house <= house_estimate + REVERSE_SEARCH_HOUSES; house++) {
+        if (house % 2 !== parity || candidates.has(house)) continue;
+        const predicted = predictFromFit(fit, house);
+        candidates.set(house, { house, predicted, difference: Math.abs(predicted - title) });
+      }
+    });
+    
+    const found = Array.from(candidates.values());
+    const closest = Math.min(...found.map(candidate => candidate.difference));
+    return found.filter(candidate => candidate.difference === closest);
+  }
+  
+  
+  // --- 4. Calculation Functions ---
+  
+  function calculateRegression(x_arr, y_arr) {
+    const n = x_arr.length;
+    if (n < 2) return null;
+
+    const x_mean = x_arr.reduce((a, b) => a + b) / n;
+    const y_mean = y_arr.reduce((a, b) => a + b) / n;
+
+    let m_numerator = 0;
+    let m_denominator = 0;
+
+    for (let i = 0; i < n; i++) {
+      m_numerator += (x_arr[i] - x_mean) * (y_arr[i] - y_mean);
+      m_denominator += (x_arr[i] - x_mean) ** 2;
+    }
+    
+    if (m_denominator === 0) {
+      return null; 
+    }
+
+    const m = m_numerator / m_denominator;
+    const c = y_mean - (m * x_mean);
+
+    let ss_total = 0;
+    let ss_residual = 0;
+    
+    for (let i = 0; i < y_arr.length; i++) {
+      const y_predicted = (m * x_arr[i]) + c;
+      ss_total += (y_arr[i] - y_mean) ** 2;
+      ss_residual += (y_arr[i] - y_predicted) ** 2;
+    }
+    
+    let r2 = 0;
+    if (ss_total === 0) {
+      r2 = ss_residual === 0 ? 1 : 0;
+    } else {
+      r2 = 1 - (ss_residual / ss_total);
+    }
+    
+    return { m, c, r2 };
+  }
+  
+  /**
+   * Detects breakpoints in the house -> title sequence (e.g. a taman titled
+   * in phases) and fits each phase separately.
+   * Returns null unless at least two phases with enough points are found.
+   */
+  function fitSegments(x_prime_values, y_values, x_values, type_values = []) {
+    const order = x_prime_values.map((_, i) => i).sort((a, b) => x_prime_values[a] - x_prime_values[b]);
+    
+    // The typical title step per unit of n, from consecutive points
+    const slopes = [];
+    for (let k = 1; k < order.length; k++) {
+      const dn = x_prime_values[order[k]] - x_prime_values[order[k - 1]];
+      if (dn > 0) {
+        slopes.push((y_values[order[k]] - y_values[order[k - 1]]) / dn);
+      }
+    }
+    if (slopes.length < 2) return null;
+    const typical_slope = median(slopes);
+    
+    const isBreak = (i, j) => {
+      const dn = x_prime_values[j] - x_prime_values[i];
+      const dy = y_values[j] - y_values[i];
+      const jump = Math.abs(dy - typical_slope * dn);
+      return dn > 0 && jump > Math.max(SEGMENT_MIN_JUMP, 2 * Math.abs(typical_slope) * dn);
+    };
+    
+    // Split wherever the title jump is far larger than the typical step
+    const groups = [[order[0]]];
+    for (let k = 1; k < order.length; k++) {
+      if (isBreak(order[k - 1], order[k])) {
+        groups.push([]);
+      }
+      groups[groups.length - 1].push(order[k]);
+    }
+    if (groups.length < 2) return null;
+    
+    // Set aside groups too small to form a phase (usually a mistyped title),
+    // then re-join neighbours that were only split by them
+    const isolated_houses = [];
+    const phase_groups = [];
+    groups.forEach(group => {
+      if (group.length < MIN_POINTS) {
+        group.forEach(i => isolated_houses.push({ house: x_values[i], title: y_values[i], kind: "no_phase", reason: t("phase.noPhase") }));
+        return;
+      }
+      const previous = phase_groups[phase_groups.length - 1];
+      if (previous && !isBreak(previous[previous.length - 1], group[0])) {
+        previous.push(...group);
+      } else {
+        phase_groups.push(group);
+      }
+    });
+    if (phase_groups.length < 2) return null;
+    
+    const segments = [];
+    
+    phase_groups.forEach(group => {
+      const seg_x = group.map(i => x_prime_values[i]);
+      const seg_y = group.map(i => y_values[i]);
+      const regression = group.length >= MIN_POINTS ? calculateRegression(seg_x, seg_y) : null;
+      
+      if (regression) {
+        const houses = group.map(i => x_values[i]);
+        segments.push({
+          phase: segments.length + 1,
+          regression,
+          indices: group,
+          inliers: group.map(i => ({ house: x_values[i], n: x_prime_values[i], title: y_values[i], type: type_values[i] || "" })),
+          n_min: Math.min(...seg_x),
+          n_max: Math.max(...seg_x),
+          house_min: Math.min(...houses),
+          house_max: Math.max(...houses)
+        });
+      } else {
+        group.forEach(i => isolated_houses.push({ house: x_values[i], title: y_values[i], kind: "one_house", reason: t("phase.oneHouse") }));
+      }
+    });
+    
+    if (segments.length < 2) return null;
+    
+    // Combined R² of every phase against the overall mean
+    const used = segments.flatMap(segment => segment.indices);
+    const y_mean = used.reduce((sum, i) => sum + y_values[i], 0) / used.length;
+    let ss_total = 0;
+    let ss_residual = 0;
+    segments.forEach(segment => {
+      segment.indices.forEach(i => {
+        const y_predicted = (segment.regression.m * x_prime_values[i]) + segment.regression.c;
+        ss_total += (y_values[i] - y_mean) ** 2;
+        ss_residual += (y_values[i] - y_predicted) ** 2;
+      });
+    });
+    const r2 = ss_total === 0 ? (ss_residual === 0 ? 1 : 0) : 1 - (ss_residual / ss_total);
+    const r2_percent = r2 * 100;
+    
+    const segment_lines = segments.map(segment =>
+      t("phase.line", {
+        phase: segment.phase,
+        from: segment.house_min,
+        to: segment.house_max,
+        count: segment.indices.length,
+        formula: formatFormula(segment.regression.m, segment.regression.c)
+      })
+    );
+    
+    let analysis_message = `${t("phase.split", { count: segments.length })}<br>${segment_lines.join('<br>')}`;
+    if (isolated_houses.length > 0) {
+      const houses = isolated_houses.map(outlier => outlier.house).join(', ');
+      analysis_message += `<br>${t("phase.isolated", { houses, count: isolated_houses.length })}`;
+    }
+    
+    return {
+      regression: null, // See segments; use getRegressionForHouse()
+      segments,
+      analysis_level: r2_percent >= CONFIDENCE_THRESHOLD ? 'info' : 'warning',
+      analysis_message,
+      r2_percent,
+      outliers: isolated_houses
+    };
+  }
+  
+  /**
+   * Robust fit that can reject several outliers. Starts from a Theil–Sen line,
+   * then repeatedly trims points far from the line and refits the rest.
+   * At least half of the points are always kept.
+   */
+  function fitRobust(x_prime_values, y_values) {
+    const n = x_prime_values.length;
+    const min_inliers = Math.max(MIN_POINTS, Math.ceil(n / 2));
+    
+    let line = fitTheilSen(x_prime_values, y_values);
+    if (!line) return null;
+    
+    let inlier_indices = x_prime_values.map((_, i) => i);
+    let regression = null;
+    
+    for (let iter = 0; iter < ROBUST_MAX_ITERATIONS; iter++) {
+      const abs_residuals = x_prime_values.map((x, i) => Math.abs(y_values[i] - ((line.m * x) + line.c)));
+      const scale = 1.4826 * median(inlier_indices.map(i => abs_residuals[i]));
+      const limit = Math.max(ROBUST_MIN_RESIDUAL, ROBUST_CUTOFF * scale);
+      
+      let next_indices = abs_residuals
+        .map((_, i) => i)
+        .filter(i => abs_residuals[i] <= limit);
+      
+      if (next_indices.length < min_inliers) {
+        next_indices = abs_residuals
+          .map((_, i) => i)
+          .sort((a, b) => abs_residuals[a] - abs_residuals[b])
+          .slice(0, min_inliers)
+          .sort((a, b) => a - b);
+      }
+      
+      const next_regression = calculateRegression(
+        next_indices.map(i => x_prime_values[i]),
+        next_indices.map(i => y_values[i])
+      );
+      if (!next_regression) break;
+      
+      const unchanged = regression && next_indices.length === inlier_indices.length
+        && next_indices.every((idx, k) => idx === inlier_indices[k]);
+      
+      inlier_indices = next_indices;
+      regression = next_regression;
+      line = next_regression;
+      if (unchanged) break;
+    }
+    
+    if (!regression) return null;
+    
+    const inlier_set = new Set(inlier_indices);
+    return {
+      regression,
+      inlier_indices,
+      outlier_indices: x_prime_values.map((_, i) => i).filter(i => !inlier_set.has(i))
+    };
+  }
+  
+  /**
+   * Theil–Sen estimator: median of all pairwise slopes
+   */
+  function fitTheilSen(x_arr, y_arr) {
+    const slopes = [];
+    for (let i = 0; i < x_arr.length; i++) {
+      for (let j = i + 1; j < x_arr.length; j++) {
+        if (x_arr[j] !== x_arr[i]) {
+          slopes.push((y_arr[j] - y_arr[i]) / (x_arr[j] - x_arr[i]));
+        }
+      }
+    }
+    if (slopes.length === 0) return null;
+    
+    const m = median(slopes);
+    const c = median(x_arr.map((x, i) => y_arr[i] - (m * x)));
+    return { m, c };
+  }
+  
+  /**
+   * Explains why a point was rejected, relative to the final line.
+   * kind ("above" or "below", or for phases "no_phase" / "one_house") does not
+   * depend on the interface language; reason is the text shown.
+   */
+  function describeOutlier(house, title, predicted_title) {
+    const expected = Math.round(predicted_title);
+    const diff = title - expected;
+    return {
+      house,
+      title,
+      kind: diff > 0 ? "above" : "below",
+      expected,
+      reason: t(diff > 0 ? "fit.outlierAbove" : "fit.outlierBelow", { title, diff: Math.abs(diff), expected })
+    };
+  }
+  
+  function formatOutlierList(outliers) {
+    if (outliers.length === 1) {
+      return t("fit.outlierOne", { house: outliers[0].house, reason: outliers[0].reason });
+    }
+    const items = outliers.map(outlier => `<li>${t("fit.outlierItem", { house: outlier.house, reason: outlier.reason })}</li>`);
+    return `${t("fit.outlierMany", { count: outliers.length })}<ul class="outlier-list">${items.join('')}</ul>`;
+  }
+  
+  function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+  }
+  
+  /**
+   * 95% prediction interval and ranked candidate titles for one target,
+   * from the residuals of the regression that produced it. The interval is
+   * centred on y_estimate when given (e.g. a neighbour interpolation).
+   */
+  function calculatePredictionInterval(regression, inliers, n_target, y_estimate) {
+    const count = inliers.length;
+    const y_target = y_estimate ?? (regression.m * n_target) + regression.c;
+    
+    const n_mean = inliers.reduce((sum, p) => sum + p.n, 0) / count;
+    let ss_residual = 0;
+    let s_xx = 0;
+    inliers.forEach(p => {
+      ss_residual += (p.title - ((regression.m * p.n) + regression.c)) ** 2;
+      s_xx += (p.n - n_mean) ** 2;
+    });
+    
+    // With only two points the residuals say nothing about the spread
+    const dof = count - 2;
+    const residual_sd = dof > 0 ? Math.sqrt(ss_residual / dof) : 0;
+    const leverage = s_xx > 0 ? (1 / count) + ((n_target - n_mean) ** 2 / s_xx) : 1;
+    const model_sigma = residual_sd * Math.sqrt(1 + leverage);
+    const sigma = Math.max(PREDICTION_MIN_SIGMA, model_sigma);
+    const margin = dof > 0
+      ? Math.max(1.96 * PREDICTION_MIN_SIGMA, tCritical95(dof) * model_sigma)
+      : tCritical95(dof) * sigma;
+    
+    // Likelihood of each whole title number near the prediction
+    const candidates = [];
+    const centre = Math.round(y_target);
+    const reach = Math.ceil(margin) + 1;
+    for (let title = centre - reach; title <= centre + reach; title++) {
+      const likelihood = normalCdf((title + 0.5 - y_target) / sigma) - normalCdf((title - 0.5 - y_target) / sigma);
+      candidates.push({ title, likelihood });
+    }
+    candidates.sort((a, b) => b.likelihood - a.likelihood);
+    
+    return {
+      low: Math.floor(y_target - margin),
+      high: Math.ceil(y_target + margin),
+      estimated: dof > 0,
+      candidates: candidates
+        .filter((candidate, idx) => idx === 0 || candidate.likelihood >= MIN_CANDIDATE_LIKELIHOOD)
+        .slice(0, MAX_CANDIDATES)
+    };
+  }
+  
+  /**
+   * Two-sided 95% critical value of Student's t distribution
+   */
+  function tCritical95(dof) {
+    const table = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+      2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+      2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042];
+    if (dof < 1) return table[0];
+    if (dof <= table.length) return table[dof - 1];
+    return 1.96;
+  }
+  
+  /**
+   * Standard normal CDF (Abramowitz & Stegun 7.1.26)
+   */
+  function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-(z * z) / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+  
+  function findOutlierByResidual(x_prime_values, y_values, x_values, m, c) {
+    let max_residual_sq = -1;
+    let outlier_index = -1;
+    
+    for (let i = 0; i < x_values.length; i++) {
+      const n_i = x_prime_values[i];
+      const y_i = y_values[i];
+      
+      const predicted_y = (m * n_i) + c;
+      const residual_sq = (y_i - predicted_y) ** 2;
+      
+      if (residual_sq > max_residual_sq) {
+        max_residual_sq = residual_sq;
+        outlier_index = i;
+      }
+    }
+    
+    return {
+      outlier_house: x_values[outlier_index],
+      outlier_index: outlier_index
+    };
+  }
+  
+  
+  // --- 5. Formatting ---
+  
+  function formatFormula(m, c) {
+    const c_string = c >= 0 ? `+ ${formatNumber(c, 2)}` : `- ${formatNumber(Math.abs(c), 2)}`;
+    return `${t("formula.title")} = (${formatNumber(m, 4)} * n) ${c_string}`;
+  }
+  
+  /**
+   * Labels a fit's leave-one-out validation, e.g. "High Confidence (9/10 exact)"
+   */
+  function formatConfidence(validation) {
+    if (validation.tested === 0) {
+      return t("confidence.tooFew");
+    }
+    const exact = t("confidence.exact", { hits: validation.hits, tested: validation.tested });
+    if (validation.grade === "good") {
+      return t("confidence.high", { exact });
+    } else if (validation.grade === "poor") {
+      return t("confidence.low", { exact });
+    }
+    return t("confidence.medium", { exact });
+  }
+  
+  
+  return {
+    MIN_POINTS,
+    CONFIDENCE_THRESHOLD,
+    NUMBERING_SCHEMES,
+    DEFAULT_TEMPLATE,
+    TABLE_COLUMN_TEMPLATE,
+    parseJpphWorkbook,
+    findDataIssues,
+    getRecordKey,
+    predictTitle,
+    normalizeType,
+    parseAddress,
+    normalizePlaceName,
+    getStreetKey,
+    parseHouseNumber,
+    parseTitleNumber,
+    parseTitleIndication,
+    parseExcelDate,
+    formatDate,
+    parseDelimitedText,
+    getSheetRows,
+    transposeRows,
+    detectTemplate,
+    processExcelData,
+    fitPattern,
+    getRegressionForHouse,
+    predictFromFit,
+    calculateRegression,
+    calculatePredictionInterval,
+    interpolateNeighbours,
+    formatNeighbours,
+    findHousesForTitle,
+    formatFormula,
+    formatConfidence
+  };
+}));
@@ -0,0 +1,831 @@
+// --- Title Generator Messages ---
+// English and Bahasa Malaysia text for the page, the engine and the CLI, with
+// number and date formatting for the chosen language. The page loads it as
+// window.TitleI18n; Node tools can require("./i18n.js").
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TitleI18n = factory();
+  }
+}(typeof self !== "undefined" ? self : this, function () {
+  
+  // --- Constants ---
+  const LANGUAGES = {
+    en: { label: "English", locale: "en-MY" },
+    ms: { label: "Bahasa Malaysia", locale: "ms-MY" }
+  };
+  const DEFAULT_LANGUAGE = "en";
+  
+  // Message catalogue: key -> { en, ms }. "{name}" is replaced by a parameter;
+  // a { one, other } pair is chosen by the `count` parameter.
+  const MESSAGES = {
+    // Address parsing
+    "address.lot": {
+      en: "\"Lot {lot}\" is a lot number, not a house number; enter the house number to use manually",
+      ms: "\"Lot {lot}\" ialah nombor lot, bukan nombor rumah; masukkan nombor rumah yang hendak digunakan secara manual"
+    },
+    "address.none": {
+      en: "No house number found",
+      ms: "Tiada nombor rumah ditemui"
+    },
+    "address.condo": {
+      en: "\"{unit}\" is a condominium unit (block-floor-unit); enter the house number to use manually",
+      ms: "\"{unit}\" ialah unit kondominium (blok-tingkat-unit); masukkan nombor rumah yang hendak digunakan secara manual"
+    },
+    "address.several": {
+      en: "Covers several houses ({first} & {second}); House No. {house} was used",
+      ms: "Meliputi beberapa rumah ({first} & {second}); No. Rumah {house} digunakan"
+    },
+    "address.unclear": {
+      en: "Could not read the house number in \"{text}\"; enter the house number to use manually",
+      ms: "Nombor rumah dalam \"{text}\" tidak dapat dibaca; masukkan nombor rumah yang hendak digunakan secara manual"
+    },
+    "address.suffix": {
+      en: "Letter suffix \"{token}\" was treated as House No. {house}",
+      ms: "Akhiran huruf \"{token}\" dianggap sebagai No. Rumah {house}"
+    },
+    "address.unit": {
+      en: "\"{token}\" has a unit part; House No. {house} was used",
+      ms: "\"{token}\" mempunyai bahagian unit; No. Rumah {house} digunakan"
+    },
+    
+    // Data quality
+    "issue.duplicate": {
+      en: "House No. {house} with title {title} appears {count} times.",
+      ms: "No. Rumah {house} dengan hakmilik {title} muncul {count} kali."
+    },
+    "issue.house": {
+      en: "House No. {house} has {count} different titles: {titles}.",
+      ms: "No. Rumah {house} mempunyai {count} hakmilik berbeza: {titles}."
+    },
+    "issue.title": {
+      en: "Title {title} is given to {count} houses: House No. {houses}.",
+      ms: "Hakmilik {title} diberikan kepada {count} rumah: No. Rumah {houses}."
+    },
+    "issue.suffix": {
+      en: "No. {token} is read as House No. {house}, but there is also a House No. {house}. If they are different houses, turn off the \"A\" suffix option.",
+      ms: "No. {token} dibaca sebagai No. Rumah {house}, tetapi terdapat juga No. Rumah {house}. Jika rumah-rumah ini berbeza, matikan pilihan akhiran \"A\"."
+    },
+    "issue.order": {
+      en: "Title {title} of House No. {house} is out of order with House No. {houseA} ({titleA}) and House No. {houseB} ({titleB}).",
+      ms: "Hakmilik {title} bagi No. Rumah {house} tidak mengikut turutan dengan No. Rumah {houseA} ({titleA}) dan No. Rumah {houseB} ({titleB})."
+    },
+    
+    // Numbering schemes and transforms
+    "scheme.parity": { en: "Odd/even sides", ms: "Sebelah ganjil/genap" },
+    "scheme.consecutive": { en: "Consecutive", ms: "Berturutan" },
+    "scheme.mirrored": { en: "Mirrored sides", ms: "Sebelah bercermin" },
+    "transform.consecutive": { en: "HouseNo", ms: "NoRumah" },
+    "transform.mirrored": { en: "HouseNo / 2, rounded up", ms: "NoRumah / 2, dibundarkan ke atas" },
+    "transform.even": { en: "(HouseNo / 2)", ms: "(NoRumah / 2)" },
+    "transform.odd": { en: "(HouseNo + 1) / 2", ms: "(NoRumah + 1) / 2" },
+    "scheme.chosen": {
+      en: "Numbering scheme: <b>{scheme}</b>, as chosen in the options.",
+      ms: "Skim penomboran: <b>{scheme}</b>, seperti yang dipilih dalam pilihan."
+    },
+    "scheme.detected": {
+      en: "Numbering scheme: <b>{scheme}</b>, detected automatically because {reason}.",
+      ms: "Skim penomboran: <b>{scheme}</b>, dikesan secara automatik kerana {reason}."
+    },
+    "scheme.reasonOnly": {
+      en: "it is the only scheme with enough matching house numbers",
+      ms: "hanya skim ini mempunyai cukup nombor rumah yang sepadan"
+    },
+    "scheme.reasonOneSide": {
+      en: "all the known houses are on one side of the street",
+      ms: "semua rumah yang diketahui berada di sebelah yang sama"
+    },
+    "scheme.reasonMoreHouses": {
+      en: "it fits about as well as {other} (±{spread} against ±{otherSpread} title numbers) and uses more of the houses ({count} against {otherCount})",
+      ms: "ia sepadan hampir sebaik {other} (±{spread} berbanding ±{otherSpread} nombor hakmilik) dan menggunakan lebih banyak rumah ({count} berbanding {otherCount})"
+    },
+    "scheme.reasonEqual": {
+      en: "the schemes fit these houses equally well (±{spread} title numbers)",
+      ms: "semua skim sepadan sama baik dengan rumah-rumah ini (±{spread} nombor hakmilik)"
+    },
+    "scheme.reasonClosest": {
+      en: "its titles lie closest to a straight line (±{spread} title numbers, against {others})",
+      ms: "hakmiliknya paling hampir dengan garis lurus (±{spread} nombor hakmilik, berbanding {others})"
+    },
+    "scheme.spread": { en: "±{spread} for {scheme}", ms: "±{spread} bagi {scheme}" },
+    
+    // Fitting and validation
+    "fit.notEnoughData": {
+      en: "Not enough matching data. Please select a filter and ensure at least {count} {houses} are visible.",
+      ms: "Data yang sepadan tidak mencukupi. Sila pilih penapis dan pastikan sekurang-kurangnya {count} {houses} kelihatan."
+    },
+    "fit.evenHouses": { en: "<b>even</b> house numbers", ms: "nombor rumah <b>genap</b>" },
+    "fit.oddHouses": { en: "<b>odd</b> house numbers", ms: "nombor rumah <b>ganjil</b>" },
+    "fit.anyHouses": { en: "house numbers", ms: "nombor rumah" },
+    "fit.identical": {
+      en: "Cannot calculate a pattern: all entered House Numbers are identical.",
+      ms: "Corak tidak dapat dikira: semua Nombor Rumah yang dimasukkan adalah sama."
+    },
+    "fit.straightLine": {
+      en: "The data points follow a straight line (R² <b>{r2}%</b>).",
+      ms: "Titik data mengikut garis lurus (R² <b>{r2}%</b>)."
+    },
+    "fit.outliersChanged": {
+      en: "<b>Note:</b> We automatically ignored {outliers}This changed R² from <b>{from}%</b> to <b>{to}%</b>.",
+      ms: "<b>Nota:</b> Kami telah mengabaikan secara automatik {outliers}Ini mengubah R² daripada <b>{from}%</b> kepada <b>{to}%</b>."
+    },
+    "fit.outliersImproved": {
+      en: "<b>Note:</b> We automatically ignored {outliers}This improved R² from <b>{from}%</b> to <b>{to}%</b>.",
+      ms: "<b>Nota:</b> Kami telah mengabaikan secara automatik {outliers}Ini meningkatkan R² daripada <b>{from}%</b> kepada <b>{to}%</b>."
+    },
+    "fit.inconsistentAfter": {
+      en: "The data points are inconsistent and do not form a clear pattern, even after ignoring {outliers}",
+      ms: "Titik data tidak konsisten dan tidak membentuk corak yang jelas, walaupun selepas mengabaikan {outliers}"
+    },
+    "fit.inconsistent": {
+      en: "The data points are inconsistent and do not form a clear pattern.",
+      ms: "Titik data tidak konsisten dan tidak membentuk corak yang jelas."
+    },
+    "fit.needMoreData": {
+      en: "The data points form a line, but more data is needed to confirm the pattern.",
+      ms: "Titik data membentuk garis, tetapi lebih banyak data diperlukan untuk mengesahkan corak."
+    },
+    "fit.outlierOne": {
+      en: "<b>House No. {house}</b> as it was an outlier ({reason}). ",
+      ms: "<b>No. Rumah {house}</b> kerana ia data terpencil ({reason}). "
+    },
+    "fit.outlierMany": {
+      en: "<b>{count} outliers</b>:",
+      ms: "<b>{count} data terpencil</b>:"
+    },
+    "fit.outlierItem": {
+      en: "<b>House No. {house}</b>: {reason}",
+      ms: "<b>No. Rumah {house}</b>: {reason}"
+    },
+    "fit.outlierAbove": {
+      en: "title {title} is {diff} above the expected {expected}",
+      ms: "hakmilik {title} adalah {diff} di atas jangkaan {expected}"
+    },
+    "fit.outlierBelow": {
+      en: "title {title} is {diff} below the expected {expected}",
+      ms: "hakmilik {title} adalah {diff} di bawah jangkaan {expected}"
+    },
+    "validation.tooFew": {
+      en: "There are too few data points to check the pattern by leaving one out, so the result cannot be verified. Please add more data points.",
+      ms: "Titik data terlalu sedikit untuk menyemak corak dengan mengecualikan satu demi satu, jadi keputusan tidak dapat disahkan. Sila tambah lebih banyak titik data."
+    },
+    "validation.summary": {
+      en: "Leave-one-out check: <b>{hits} of {tested}</b> known titles were predicted exactly from the others (mean error {mean}, max error {max}).",
+      ms: "Semakan kecualikan-satu: <b>{hits} daripada {tested}</b> hakmilik yang diketahui diramal dengan tepat daripada yang lain (ralat purata {mean}, ralat maksimum {max})."
+    },
+    "validation.good": { en: "The result is likely correct.", ms: "Keputusan ini mungkin betul." },
+    "validation.fair": {
+      en: "The result is probably close; please check it against the nearest known titles.",
+      ms: "Keputusan ini mungkin hampir; sila semak dengan hakmilik terdekat yang diketahui."
+    },
+    "validation.poor": {
+      en: "The result is likely INCORRECT. Please double-check your data entries.",
+      ms: "Keputusan ini mungkin SALAH. Sila semak semula data yang dimasukkan."
+    },
+    
+    // Title phases
+    "phase.noPhase": { en: "did not belong to any title phase", ms: "tidak tergolong dalam mana-mana fasa hakmilik" },
+    "phase.oneHouse": { en: "its phase has only one house number", ms: "fasanya hanya mempunyai satu nombor rumah" },
+    "phase.line": {
+      en: "Phase {phase} (House No. {from}–{to}, {count} pts): <b>{formula}</b>",
+      ms: "Fasa {phase} (No. Rumah {from}–{to}, {count} titik): <b>{formula}</b>"
+    },
+    "phase.split": {
+      en: "<b>Note:</b> The title numbers jump between blocks, so the data was split into <b>{count} phases</b> and each was fitted separately:",
+      ms: "<b>Nota:</b> Nombor hakmilik melompat antara blok, jadi data dibahagikan kepada <b>{count} fasa</b> dan setiap satu dipadankan secara berasingan:"
+    },
+    "phase.isolated": {
+      en: {
+        one: "House No. {houses} did not belong to any phase and was ignored.",
+        other: "House No. {houses} did not belong to any phase and were ignored."
+      },
+      ms: "No. Rumah {houses} tidak tergolong dalam mana-mana fasa dan diabaikan."
+    },
+    
+    // Prediction
+    "predict.noHouse": { en: "Please enter a Target House Number.", ms: "Sila masukkan Nombor Rumah Sasaran." },
+    "predict.betweenPhases": {
+      en: "House No. {house} falls between two phases, so the nearest one (<b>Phase {phase}</b>) was used. Please verify the result.",
+      ms: "No. Rumah {house} terletak di antara dua fasa, jadi fasa terdekat (<b>Fasa {phase}</b>) digunakan. Sila sahkan keputusan."
+    },
+    "predict.fromPhase": {
+      en: "House No. {house} was predicted from <b>Phase {phase}</b>.",
+      ms: "No. Rumah {house} diramal daripada <b>Fasa {phase}</b>."
+    },
+    "predict.lineInstead": {
+      en: "{error} The regression line was used instead.",
+      ms: "{error} Garis regresi digunakan sebagai ganti."
+    },
+    "predict.neighbours": {
+      en: "Nearest neighbours: <b>{title}</b>, {how}.",
+      ms: "Jiran terdekat: <b>{title}</b>, {how}."
+    },
+    "predict.neighboursUsed": {
+      en: "Nearest neighbours: <b>{title}</b>, {how} (used for the result).",
+      ms: "Jiran terdekat: <b>{title}</b>, {how} (digunakan untuk keputusan)."
+    },
+    "predict.disagree": {
+      en: "<b>⚠ The methods disagree:</b> the regression line gives <b>{line}</b> but the nearest neighbours give <b>{neighbours}</b>. Please check the known titles around House No. {house}.",
+      ms: "<b>⚠ Kaedah tidak sepakat:</b> garis regresi memberi <b>{line}</b> tetapi jiran terdekat memberi <b>{neighbours}</b>. Sila semak hakmilik yang diketahui di sekitar No. Rumah {house}."
+    },
+    "predict.neighbourFormula": { en: "Title = {title}, {how}", ms: "Hakmilik = {title}, {how}" },
+    "neighbours.notEnough": {
+      en: "There are not enough known houses near House No. {house} to interpolate from.",
+      ms: "Tidak cukup rumah yang diketahui berhampiran No. Rumah {house} untuk diinterpolasi."
+    },
+    "neighbours.house": { en: "House No. {house} ({title})", ms: "No. Rumah {house} ({title})" },
+    "neighbours.exact": { en: "the known title of {houses}", ms: "hakmilik yang diketahui bagi {houses}" },
+    "neighbours.beyond": { en: "extended from {houses}", ms: "dilanjutkan daripada {houses}" },
+    "neighbours.between": { en: "interpolated between {houses}", ms: "diinterpolasi antara {houses}" },
+    
+    // Reverse lookup
+    "reverse.noTitle": { en: "Please enter a Target Title Number.", ms: "Sila masukkan Nombor Hakmilik Sasaran." },
+    "reverse.even": { en: "even", ms: "genap" },
+    "reverse.odd": { en: "odd", ms: "ganjil" },
+    "reverse.sideFailed": {
+      en: "The {side} side could not be fitted: {error}",
+      ms: "Sebelah {side} tidak dapat dipadankan: {error}"
+    },
+    "reverse.noHouse": {
+      en: "No house could be found for this title number.",
+      ms: "Tiada rumah ditemui untuk nombor hakmilik ini."
+    },
+    "reverse.match": {
+      en: "House No. <b>{house}</b> ({side} side, {label})",
+      ms: "No. Rumah <b>{house}</b> (sebelah {side}, {label})"
+    },
+    "reverse.matchAt": { en: "{match} at {predicted}", ms: "{match} pada {predicted}" },
+    "reverse.known": {
+      en: "Title {title} is already in the data for House No. <b>{houses}</b>.",
+      ms: "Hakmilik {title} sudah ada dalam data bagi No. Rumah <b>{houses}</b>."
+    },
+    "reverse.exact": {
+      en: "Title {title} is predicted exactly for {matches}.",
+      ms: "Hakmilik {title} diramal dengan tepat bagi {matches}."
+    },
+    "reverse.exactBeyond": {
+      en: "It is also predicted exactly for {matches}, beyond the known houses.",
+      ms: "Ia juga diramal dengan tepat bagi {matches}, di luar rumah yang diketahui."
+    },
+    "reverse.closest": {
+      en: "No house is predicted to have title {title} exactly. The closest is {matches}, {difference} away.",
+      ms: "Tiada rumah diramal mempunyai hakmilik {title} dengan tepat. Yang paling hampir ialah {matches}, berbeza {difference}."
+    },
+    "reverse.beyond": {
+      en: "This lies beyond the known houses, so please verify it.",
+      ms: "Ini terletak di luar rumah yang diketahui, jadi sila sahkannya."
+    },
+    "reverse.ambiguous": {
+      en: "<b>⚠ Ambiguous:</b> the title fits a house on both the odd and the even side. Check which side of the street the title belongs to, e.g. from its neighbouring titles.",
+      ms: "<b>⚠ Tidak jelas:</b> hakmilik ini sepadan dengan rumah di sebelah ganjil dan genap. Semak sebelah jalan mana hakmilik ini tergolong, contohnya daripada hakmilik jirannya."
+    },
+    
+    // Formatting
+    "formula.title": { en: "Title", ms: "Hakmilik" },
+    "confidence.tooFew": { en: "Low Confidence (too few points to check)", ms: "Keyakinan Rendah (titik terlalu sedikit untuk disemak)" },
+    "confidence.exact": { en: "{hits}/{tested} exact", ms: "{hits}/{tested} tepat" },
+    "confidence.high": { en: "High Confidence ({exact})", ms: "Keyakinan Tinggi ({exact})" },
+    "confidence.medium": { en: "Medium Confidence ({exact})", ms: "Keyakinan Sederhana ({exact})" },
+    "confidence.low": { en: "Low Confidence ({exact})", ms: "Keyakinan Rendah ({exact})" },
+    
+    // Page: static text
+    "page.documentTitle": { en: "TITLE NUMBER GENERATOR V8.2", ms: "PENJANA NOMBOR HAKMILIK V8.2" },
+    "page.heading": { en: "Title Number Generator", ms: "Penjana Nombor Hakmilik" },
+    "project.label": { en: "Project:", ms: "Projek:" },
+    "project.name": { en: "Project name", ms: "Nama projek" },
+    "project.new": { en: "New", ms: "Baharu" },
+    "project.duplicate": { en: "Duplicate", ms: "Salin" },
+    "project.delete": { en: "Delete", ms: "Padam" },
+    "project.export": { en: "Export JSON", ms: "Eksport JSON" },
+    "project.import": { en: "Import JSON", ms: "Import JSON" },
+    "share.button": { en: "Copy Share Link", ms: "Salin Pautan Kongsi" },
+    "project.note": {
+      en: "Projects are saved automatically in this browser.",
+      ms: "Projek disimpan secara automatik dalam pelayar ini."
+    },
+    "step1.heading": { en: "Step 1: Upload JPPH Excel", ms: "Langkah 1: Muat Naik Excel JPPH" },
+    "step1.upload": {
+      en: "Drag & Drop or Upload JPPH Excel Files (.xlsx, .csv, .tsv)",
+      ms: "Seret & Lepas atau Muat Naik Fail Excel JPPH (.xlsx, .csv, .tsv)"
+    },
+    "paste.toggle": { en: "Paste Table", ms: "Tampal Jadual" },
+    "paste.label": {
+      en: "Paste a table copied from the JPPH portal, an email or Google Sheets:",
+      ms: "Tampal jadual yang disalin daripada portal JPPH, e-mel atau Google Sheets:"
+    },
+    "paste.import": { en: "Import Pasted Data", ms: "Import Data Ditampal" },
+    "template.label": { en: "Template:", ms: "Templat:" },
+    "template.edit": { en: "Map Rows", ms: "Petakan Baris" },
+    "template.delete": { en: "Delete", ms: "Padam" },
+    "upload.processing": { en: "Processing file...", ms: "Memproses fail..." },
+    "page.instructions": {
+      en: "... or manually enter data below.<br>The tool will auto-filter odd/even data to match your target and attempt to auto-correct for any outliers.",
+      ms: "... atau masukkan data secara manual di bawah.<br>Alat ini akan menapis data ganjil/genap secara automatik mengikut sasaran anda dan cuba membetulkan sebarang data terpencil secara automatik."
+    },
+    "step2.heading": { en: "Step 2: Define the Pattern", ms: "Langkah 2: Tentukan Corak" },
+    "sort.label": { en: "Sort by:", ms: "Susun mengikut:" },
+    "sort.default": { en: "Default (Upload Order)", ms: "Lalai (Susunan Muat Naik)" },
+    "sort.house": { en: "House No. (Asc)", ms: "No. Rumah (Menaik)" },
+    "sort.title": { en: "Title No. (Asc)", ms: "No. Hakmilik (Menaik)" },
+    "sort.dateLatest": { en: "Date (Latest)", ms: "Tarikh (Terkini)" },
+    "sort.dateOldest": { en: "Date (Oldest)", ms: "Tarikh (Terawal)" },
+    "options.suffixNext": {
+      en: "Treat an \"A\" suffix as the next number (12A → 13)",
+      ms: "Anggap akhiran \"A\" sebagai nombor seterusnya (12A → 13)"
+    },
+    "filter.typeLabel": { en: "Filter by Title Type:", ms: "Tapis mengikut Jenis Hakmilik:" },
+    "types.compareToggle": {
+      en: "Compare title types (fit each type separately)",
+      ms: "Bandingkan jenis hakmilik (padankan setiap jenis secara berasingan)"
+    },
+    "dates.label": { en: "Transaction Dates:", ms: "Tarikh Transaksi:" },
+    "dates.all": { en: "All Dates", ms: "Semua Tarikh" },
+    "dates.last5": { en: "Last 5 Years", ms: "5 Tahun Terakhir" },
+    "dates.last10": { en: "Last 10 Years", ms: "10 Tahun Terakhir" },
+    "dates.last20": { en: "Last 20 Years", ms: "20 Tahun Terakhir" },
+    "dates.custom": { en: "Custom Range...", ms: "Julat Tersuai..." },
+    "dates.from": { en: "From", ms: "Dari" },
+    "dates.to": { en: "To", ms: "Hingga" },
+    "dates.undatedKept": {
+      en: { one: "{count} data point without a date is kept in the range.", other: "{count} data points without a date are kept in the range." },
+      ms: "{count} titik data tanpa tarikh dikekalkan dalam julat."
+    },
+    "filter.streetLabel": { en: "Filter by Street / Taman:", ms: "Tapis mengikut Jalan / Taman:" },
+    "points.add": { en: "+ Add Data Point", ms: "+ Tambah Titik Data" },
+    "points.page": { en: "Points {from}–{to} of {count}", ms: "Titik {from}–{to} daripada {count}" },
+    "points.prevPage": { en: "‹ Previous", ms: "‹ Sebelumnya" },
+    "points.nextPage": { en: "Next ›", ms: "Seterusnya ›" },
+    "history.undo": { en: "↶ Undo", ms: "↶ Buat Asal" },
+    "history.undoTitle": { en: "Undo (Ctrl+Z)", ms: "Buat asal (Ctrl+Z)" },
+    "history.redo": { en: "↷ Redo", ms: "↷ Buat Semula" },
+    "history.redoTitle": { en: "Redo (Ctrl+Y)", ms: "Buat semula (Ctrl+Y)" },
+    "step3.heading": { en: "Step 3: Find Your Title Number", ms: "Langkah 3: Cari Nombor Hakmilik Anda" },
+    "mode.label": { en: "Mode:", ms: "Mod:" },
+    "mode.single": { en: "Single House", ms: "Rumah Tunggal" },
+    "mode.batch": { en: "Batch (List or Range)", ms: "Kelompok (Senarai atau Julat)" },
+    "mode.reverse": { en: "Reverse (Title No. to House No.)", ms: "Songsang (No. Hakmilik ke No. Rumah)" },
+    "target.houseLabel": { en: "Target House No. or Address", ms: "No. Rumah Sasaran atau Alamat" },
+    "target.housePlaceholder": {
+      en: "e.g., 12 or No. 12, Jalan Meranti 3",
+      ms: "cth., 12 atau No. 12, Jalan Meranti 3"
+    },
+    "target.batchLabel": { en: "Target House Nos.", ms: "No. Rumah Sasaran" },
+    "target.batchPlaceholder": { en: "e.g., 2, 4, 10-40", ms: "cth., 2, 4, 10-40" },
+    "target.titleLabel": { en: "Target Title No.", ms: "No. Hakmilik Sasaran" },
+    "target.titlePlaceholder": { en: "e.g., 1006 or GRN 1006", ms: "cth., 1006 atau GRN 1006" },
+    "options.segment": {
+      en: "Detect title phases (fit each block separately)",
+      ms: "Kesan fasa hakmilik (padankan setiap blok secara berasingan)"
+    },
+    "options.outlierLabel": { en: "Outlier correction:", ms: "Pembetulan data terpencil:" },
+    "options.outlierClassic": { en: "Single point", ms: "Satu titik" },
+    "options.outlierRobust": { en: "Robust (multiple outliers)", ms: "Teguh (beberapa data terpencil)" },
+    "options.schemeLabel": { en: "House numbering:", ms: "Penomboran rumah:" },
+    "options.schemeAuto": { en: "Auto-detect", ms: "Kesan automatik" },
+    "options.schemeParity": {
+      en: "Odd/even sides (titled separately)",
+      ms: "Sebelah ganjil/genap (hakmilik berasingan)"
+    },
+    "options.schemeConsecutive": {
+      en: "Consecutive (across both sides)",
+      ms: "Berturutan (merentasi kedua-dua sebelah)"
+    },
+    "options.schemeMirrored": {
+      en: "Mirrored sides (facing houses in pairs)",
+      ms: "Sebelah bercermin (rumah bertentangan secara berpasangan)"
+    },
+    "options.methodLabel": { en: "Prediction method:", ms: "Kaedah ramalan:" },
+    "options.methodRegression": { en: "Regression line (whole street)", ms: "Garis regresi (seluruh jalan)" },
+    "options.methodNeighbours": { en: "Nearest neighbours (interpolate)", ms: "Jiran terdekat (interpolasi)" },
+    "form.submit": { en: "Calculate Title Number", ms: "Kira Nombor Hakmilik" },
+    "types.heading": { en: "Title Type Comparison", ms: "Perbandingan Jenis Hakmilik" },
+    "types.colType": { en: "Title Type", ms: "Jenis Hakmilik" },
+    "table.titleNo": { en: "Title No.", ms: "No. Hakmilik" },
+    "types.colRange": { en: "95% Range", ms: "Julat 95%" },
+    "types.colPoints": { en: "Points", ms: "Titik" },
+    "table.confidence": { en: "Confidence", ms: "Keyakinan" },
+    "result.analysisHeading": { en: "Analysis", ms: "Analisis" },
+    "report.print": { en: "Print Report", ms: "Cetak Laporan" },
+    "report.exportHtml": { en: "Export HTML", ms: "Eksport HTML" },
+    "report.exportJson": { en: "Export JSON", ms: "Eksport JSON" },
+    "batch.heading": { en: "Batch Results", ms: "Keputusan Kelompok" },
+    "table.houseNo": { en: "House No.", ms: "No. Rumah" },
+    "batch.exportCsv": { en: "Export CSV", ms: "Eksport CSV" },
+    "batch.exportXlsx": { en: "Export XLSX", ms: "Eksport XLSX" },
+    "reverse.heading": { en: "Reverse Lookup", ms: "Carian Songsang" },
+    "reverse.colSide": { en: "Side", ms: "Sebelah" },
+    "reverse.colPredicted": { en: "Predicted Title", ms: "Hakmilik Ramalan" },
+    "reverse.colOffBy": { en: "Off By", ms: "Beza" },
+    "template.dialogTitle": { en: "Map JPPH Template", ms: "Petakan Templat JPPH" },
+    "template.previewSheet": { en: "Preview Sheet", ms: "Helaian Pratonton" },
+    "template.houseRow": { en: "House No. Row", ms: "Baris No. Rumah" },
+    "template.dateRow": { en: "Date Row (0 = none)", ms: "Baris Tarikh (0 = tiada)" },
+    "template.titleRow": { en: "Title Row", ms: "Baris Hakmilik" },
+    "template.firstColumn": { en: "First Data Column (A = 1)", ms: "Lajur Data Pertama (A = 1)" },
+    "template.profileName": {
+      en: "Save as Template Profile (optional)",
+      ms: "Simpan sebagai Profil Templat (pilihan)"
+    },
+    "template.profilePlaceholder": { en: "e.g., JPPH 2024 Layout", ms: "cth., Susun Atur JPPH 2024" },
+    "template.cancel": { en: "Cancel", ms: "Batal" },
+    "template.apply": { en: "Apply", ms: "Guna" },
+    "footer.credit": { en: "By KS CHEN (REN 74181) – Reapfield", ms: "Oleh KS CHEN (REN 74181) – Reapfield" },
+    "footer.disclaimer": {
+      en: "This Title Generator is in Beta testing stage. If you find any inaccuracies, please contact us at +6 014-636 8436. Happy closing!",
+      ms: "Penjana Hakmilik ini masih dalam peringkat ujian Beta. Jika anda menemui sebarang ketidaktepatan, sila hubungi kami di +6 014-636 8436. Selamat berurusan!"
+    },
+    "language.label": { en: "Language", ms: "Bahasa" },
+    
+    // Page: library and upload
+    "library.unavailable": {
+      en: "Excel (.xlsx) import and export are unavailable because the Excel library could not be loaded. CSV/TSV files, pasted tables and manual entry still work.",
+      ms: "Import dan eksport Excel (.xlsx) tidak tersedia kerana pustaka Excel tidak dapat dimuatkan. Fail CSV/TSV, jadual yang ditampal dan kemasukan manual masih berfungsi."
+    },
+    "upload.invalidType": {
+      en: "Invalid file type (<b>{file}</b>). Please upload .xlsx, .xls, .csv or .tsv files.",
+      ms: "Jenis fail tidak sah (<b>{file}</b>). Sila muat naik fail .xlsx, .xls, .csv atau .tsv."
+    },
+    "upload.libraryLoading": {
+      en: "The Excel library is still loading or unavailable. Please try again, or import a CSV/TSV file or pasted table instead.",
+      ms: "Pustaka Excel masih dimuatkan atau tidak tersedia. Sila cuba lagi, atau import fail CSV/TSV atau jadual yang ditampal."
+    },
+    "upload.unreadable": {
+      en: "Could not read <b>{file}</b>. It may be corrupt or an invalid format.",
+      ms: "<b>{file}</b> tidak dapat dibaca. Fail mungkin rosak atau formatnya tidak sah."
+    },
+    "upload.processingFailed": {
+      en: "File read, but data processing failed: {error}. Please check your template.",
+      ms: "Fail telah dibaca, tetapi pemprosesan data gagal: {error}. Sila semak templat anda."
+    },
+    "upload.notEnough": {
+      en: "Found {count} valid data pairs. Not enough data to calculate a pattern.",
+      ms: "{count} pasangan data sah ditemui. Data tidak mencukupi untuk mengira corak."
+    },
+    "upload.summary": {
+      en: "Loaded {points} data points from {files} ({sheets}).",
+      ms: "{points} titik data dimuatkan daripada {files} ({sheets})."
+    },
+    "upload.files": {
+      en: { one: "{count} file", other: "{count} files" },
+      ms: "{count} fail"
+    },
+    "upload.sheets": {
+      en: { one: "{count} sheet", other: "{count} sheets" },
+      ms: "{count} helaian"
+    },
+    "upload.duplicates": {
+      en: { one: "Collapsed {count} duplicate transaction.", other: "Collapsed {count} duplicate transactions." },
+      ms: "{count} transaksi pendua digabungkan."
+    },
+    "source.more": { en: "{source} (+{count} more)", ms: "{source} (+{count} lagi)" },
+    "paste.empty": {
+      en: "Please paste a table first, e.g. copied from the JPPH portal, an email or Google Sheets.",
+      ms: "Sila tampal jadual terlebih dahulu, contohnya yang disalin daripada portal JPPH, e-mel atau Google Sheets."
+    },
+    "paste.sourceName": { en: "Pasted table", ms: "Jadual ditampal" },
+    "paste.failed": {
+      en: "Pasted data could not be processed: {error}.",
+      ms: "Data yang ditampal tidak dapat diproses: {error}."
+    },
+    
+    // Page: template mapping and filters
+    "template.saveFailed": {
+      en: "Could not save the template profile. Your browser may be blocking local storage.",
+      ms: "Profil templat tidak dapat disimpan. Pelayar anda mungkin menyekat storan tempatan."
+    },
+    "template.auto": { en: "Auto-detect", ms: "Kesan automatik" },
+    "template.default": { en: "{name} (rows {rows})", ms: "{name} (baris {rows})" },
+    "template.notFound": {
+      en: "We could not find the house, date and title rows in \"{file}\" automatically. Please enter them as shown in Excel.",
+      ms: "Kami tidak dapat mencari baris rumah, tarikh dan hakmilik dalam \"{file}\" secara automatik. Sila masukkannya seperti yang ditunjukkan dalam Excel."
+    },
+    "template.adjust": {
+      en: "Adjust the rows below. They are applied to every sheet of every uploaded file. Give the mapping a name to save it as a template profile.",
+      ms: "Laraskan baris di bawah. Ia digunakan pada setiap helaian bagi setiap fail yang dimuat naik. Beri nama pemetaan ini untuk menyimpannya sebagai profil templat."
+    },
+    "template.emptyRow": { en: "(empty)", ms: "(kosong)" },
+    "template.house": { en: "House", ms: "Rumah" },
+    "template.date": { en: "Date", ms: "Tarikh" },
+    "template.title": { en: "Title", ms: "Hakmilik" },
+    "template.pairsFound": {
+      en: "{count} valid data pairs found across all sheets",
+      ms: "{count} pasangan data sah ditemui dalam semua helaian"
+    },
+    "template.reservedName": {
+      en: "That profile name is reserved. Please choose another name.",
+      ms: "Nama profil itu dikhaskan. Sila pilih nama lain."
+    },
+    "filter.allTypes": { en: "All (Manual Remove)", ms: "Semua (Buang Manual)" },
+    "filter.allStreets": { en: "All Streets", ms: "Semua Jalan" },
+    "filter.unknownStreet": { en: "Unknown Street", ms: "Jalan Tidak Diketahui" },
+    
+    // Page: projects and share links
+    "project.saveFailed": {
+      en: "Could not save the project. Your browser may be blocking local storage, or it is full.",
+      ms: "Projek tidak dapat disimpan. Pelayar anda mungkin menyekat storan tempatan, atau storan sudah penuh."
+    },
+    "project.untitled": { en: "Untitled Project", ms: "Projek Tanpa Nama" },
+    "project.copyName": { en: "{name} (copy)", ms: "{name} (salinan)" },
+    "project.confirmDelete": {
+      en: "Delete the project \"{name}\"? This cannot be undone.",
+      ms: "Padam projek \"{name}\"? Tindakan ini tidak boleh dibuat asal."
+    },
+    "project.unreadable": {
+      en: "Could not read <b>{file}</b>. It is not a valid project file.",
+      ms: "<b>{file}</b> tidak dapat dibaca. Ia bukan fail projek yang sah."
+    },
+    "project.notProject": {
+      en: "<b>{file}</b> is not a Title Number Generator project file.",
+      ms: "<b>{file}</b> bukan fail projek Penjana Nombor Hakmilik."
+    },
+    "project.newerVersion": {
+      en: "<b>{file}</b> was saved by a newer version of this tool. Please update the page and try again.",
+      ms: "<b>{file}</b> disimpan oleh versi alat ini yang lebih baharu. Sila kemas kini halaman dan cuba lagi."
+    },
+    "share.copyPrompt": { en: "Copy this share link:", ms: "Salin pautan kongsi ini:" },
+    "share.copied": { en: "Link copied", ms: "Pautan disalin" },
+    "share.ready": { en: "Link ready", ms: "Pautan sedia" },
+    "share.long": {
+      en: "{status} ({length} characters). It is long, so some apps may cut it off; use Export JSON for large datasets.",
+      ms: "{status} ({length} aksara). Pautan ini panjang, jadi sesetengah aplikasi mungkin memotongnya; gunakan Eksport JSON untuk set data yang besar."
+    },
+    "share.done": {
+      en: "{status}. Opening it rebuilds this project and reruns the calculation.",
+      ms: "{status}. Membukanya akan membina semula projek ini dan menjalankan semula pengiraan."
+    },
+    "share.unreadable": {
+      en: "This share link could not be read. It may have been cut off when it was sent.",
+      ms: "Pautan kongsi ini tidak dapat dibaca. Ia mungkin terpotong semasa dihantar."
+    },
+    "share.notProject": {
+      en: "This share link does not contain a Title Number Generator project.",
+      ms: "Pautan kongsi ini tidak mengandungi projek Penjana Nombor Hakmilik."
+    },
+    "share.newerVersion": {
+      en: "This share link was made by a newer version of this tool. Please update the page and try again.",
+      ms: "Pautan kongsi ini dibuat oleh versi alat ini yang lebih baharu. Sila kemas kini halaman dan cuba lagi."
+    },
+    "share.projectName": { en: "{name} (shared)", ms: "{name} (dikongsi)" },
+    "share.defaultName": { en: "Project", ms: "Projek" },
+    
+    // Page: data point rows
+    "row.house": { en: "House No. {number}", ms: "No. Rumah {number}" },
+    "row.title": { en: "Title No. {number}", ms: "No. Hakmilik {number}" },
+    "row.type": { en: "Title Type {number}", ms: "Jenis Hakmilik {number}" },
+    "row.use": { en: "Use", ms: "Guna" },
+    "row.useTitle": { en: "Use this data point in the calculation", ms: "Gunakan titik data ini dalam pengiraan" },
+    
+    // Page: data quality
+    "quality.summary": {
+      en: {
+        one: "Found {count} possible data problem: duplicates, conflicting titles or titles out of order. Each is flagged on its rows, where you can keep one row or exclude it.",
+        other: "Found {count} possible data problems: duplicates, conflicting titles or titles out of order. Each is flagged on its rows, where you can keep one row or exclude it."
+      },
+      ms: "{count} kemungkinan masalah data ditemui: pendua, hakmilik yang bercanggah atau hakmilik yang tidak mengikut turutan. Setiap satu ditanda pada barisnya, di mana anda boleh mengekalkan satu baris atau mengecualikannya."
+    },
+    "quality.keep": { en: "Keep this", ms: "Kekalkan ini" },
+    "quality.exclude": { en: "Exclude", ms: "Kecualikan" },
+    
+    // Page: calculation
+    "target.noHouse": {
+      en: "Please enter a Target House Number or address.",
+      ms: "Sila masukkan Nombor Rumah Sasaran atau alamat."
+    },
+    "target.streetMatched": {
+      en: "Only data from <b>{streets}</b> was used, to match the target address.",
+      ms: "Hanya data daripada <b>{streets}</b> digunakan, untuk dipadankan dengan alamat sasaran."
+    },
+    "target.streetNotFound": {
+      en: "The street in the target address (<b>{street}</b>) was not found in the data, so the current street filter was used.",
+      ms: "Jalan dalam alamat sasaran (<b>{street}</b>) tidak ditemui dalam data, jadi penapis jalan semasa digunakan."
+    },
+    "filter.manualMode": { en: "N/A (Manual Mode)", ms: "T/B (Mod Manual)" },
+    "dates.anyDate": { en: "any date", ms: "sebarang tarikh" },
+    "dates.today": { en: "today", ms: "hari ini" },
+    "dates.range": { en: "{from} to {to}", ms: "{from} hingga {to}" },
+    
+    // Page: batch prediction
+    "batch.invalidList": {
+      en: "Please enter the Target House Numbers as a list or range, e.g. <b>2, 4, 10-40</b>.",
+      ms: "Sila masukkan Nombor Rumah Sasaran sebagai senarai atau julat, contohnya <b>2, 4, 10-40</b>."
+    },
+    "batch.tooMany": {
+      en: "Too many target houses. Please enter at most {count} at a time.",
+      ms: "Terlalu banyak rumah sasaran. Sila masukkan paling banyak {count} pada satu masa."
+    },
+    "batch.noResult": { en: "No Result", ms: "Tiada Keputusan" },
+    "batch.phase": { en: "Phase {phase}: ", ms: "Fasa {phase}: " },
+    "batch.houseNo": { en: "House No.", ms: "No. Rumah" },
+    "batch.predictedTitle": { en: "Predicted Title No.", ms: "No. Hakmilik Ramalan" },
+    "batch.transform": { en: "Transform", ms: "Transformasi" },
+    "batch.formula": { en: "Formula", ms: "Formula" },
+    "batch.confidence": { en: "Confidence", ms: "Keyakinan" },
+    "batch.xlsxUnavailable": {
+      en: "XLSX export needs the Excel library, which could not be loaded. Please export as CSV instead.",
+      ms: "Eksport XLSX memerlukan pustaka Excel, yang tidak dapat dimuatkan. Sila eksport sebagai CSV."
+    },
+    "batch.sheetName": { en: "Predictions", ms: "Ramalan" },
+    
+    // Page: fit chart
+    "chart.label": { en: "Title number against n = {transform}", ms: "Nombor hakmilik berbanding n = {transform}" },
+    "chart.titleAxis": { en: "Title No.", ms: "No. Hakmilik" },
+    "chart.point.used": {
+      en: "House No. {house}: title {title} (click to exclude)",
+      ms: "No. Rumah {house}: hakmilik {title} (klik untuk kecualikan)"
+    },
+    "chart.point.outlier": {
+      en: "House No. {house}: title {title}, ignored as an outlier (click to exclude)",
+      ms: "No. Rumah {house}: hakmilik {title}, diabaikan sebagai data terpencil (klik untuk kecualikan)"
+    },
+    "chart.point.excluded": {
+      en: "House No. {house}: title {title}, excluded (click to include)",
+      ms: "No. Rumah {house}: hakmilik {title}, dikecualikan (klik untuk masukkan)"
+    },
+    "chart.target": { en: "Target House No. {house}: title {title}", ms: "No. Rumah Sasaran {house}: hakmilik {title}" },
+    "chart.used": { en: "Used", ms: "Digunakan" },
+    "chart.outlier": { en: "Ignored outlier", ms: "Data terpencil diabaikan" },
+    "chart.excluded": { en: "Excluded", ms: "Dikecualikan" },
+    "chart.targetLegend": { en: "Target", ms: "Sasaran" },
+    "chart.hint": { en: "Click a point to exclude or re-include it.", ms: "Klik titik untuk mengecualikan atau memasukkannya semula." },
+    
+    // Page: title type comparison
+    "types.suggestion": {
+      en: "Most likely type: <b>{type}</b>. {count} of the {total} nearest houses carry it (House No. {houses}).",
+      ms: "Jenis paling mungkin: <b>{type}</b>. {count} daripada {total} rumah terdekat mempunyainya (No. Rumah {houses})."
+    },
+    "types.noSuggestion": {
+      en: "No nearby house has a known title type, so no type can be suggested.",
+      ms: "Tiada rumah berhampiran yang mempunyai jenis hakmilik yang diketahui, jadi tiada jenis dapat dicadangkan."
+    },
+    
+    // Page: calculation report
+    "report.none": { en: "None", ms: "Tiada" },
+    "report.all": { en: "All", ms: "Semua" },
+    "report.methodNeighbours": { en: "Nearest neighbours", ms: "Jiran terdekat" },
+    "report.methodRegression": { en: "Regression line", ms: "Garis regresi" },
+    "report.outliersRobust": { en: "Robust (multiple outliers)", ms: "Teguh (beberapa data terpencil)" },
+    "report.outliersClassic": { en: "Single point", ms: "Satu titik" },
+    "report.manualEntry": { en: "Manual entry", ms: "Kemasukan manual" },
+    "report.status.used": { en: "Used", ms: "Digunakan" },
+    "report.status.outlier": { en: "Outlier (ignored)", ms: "Data terpencil (diabaikan)" },
+    "report.status.other": { en: "Not in the fitted group", ms: "Bukan dalam kumpulan yang dipadankan" },
+    "report.status.excluded": { en: "Excluded", ms: "Dikecualikan" },
+    "report.noOutliers": { en: "None.", ms: "Tiada." },
+    "report.outlier": { en: "House No. {house}: {reason}", ms: "No. Rumah {house}: {reason}" },
+    "report.generated": { en: "Generated {date} at {time}", ms: "Dijana pada {date}, jam {time}" },
+    "report.project": { en: "Project: {name}", ms: "Projek: {name}" },
+    "report.documentTitle": { en: "Title Number Report — House No. {house}", ms: "Laporan Nombor Hakmilik — No. Rumah {house}" },
+    "report.heading": { en: "Title Number Calculation Report", ms: "Laporan Pengiraan Nombor Hakmilik" },
+    "report.result": {
+      en: "House No. {house}: title number <b>{title}</b>",
+      ms: "No. Rumah {house}: nombor hakmilik <b>{title}</b>"
+    },
+    "report.rangeUnreliable": {
+      en: "(too few data points for a reliable range)",
+      ms: "(titik data terlalu sedikit untuk julat yang boleh dipercayai)"
+    },
+    "report.candidates": { en: "Most likely titles: {candidates}", ms: "Hakmilik paling mungkin: {candidates}" },
+    "report.method": { en: "Method", ms: "Kaedah" },
+    "report.scheme": { en: "Numbering scheme", ms: "Skim penomboran" },
+    "report.prediction": { en: "Prediction method", ms: "Kaedah ramalan" },
+    "report.transform": { en: "Transform", ms: "Transformasi" },
+    "report.formula": { en: "Formula", ms: "Formula" },
+    "report.confidence": { en: "Confidence", ms: "Keyakinan" },
+    "report.validation": { en: "Leave-one-out check", ms: "Semakan kecualikan-satu" },
+    "report.validationTooFew": { en: "Too few data points to check", ms: "Titik data terlalu sedikit untuk disemak" },
+    "report.validationSummary": {
+      en: "{hits} of {tested} titles predicted exactly (mean error {mean}, max error {max})",
+      ms: "{hits} daripada {tested} hakmilik diramal dengan tepat (ralat purata {mean}, ralat maksimum {max})"
+    },
+    "report.phaseDetection": { en: "Phase detection", ms: "Pengesanan fasa" },
+    "report.on": { en: "On", ms: "Hidup" },
+    "report.off": { en: "Off", ms: "Mati" },
+    "report.outlierCorrection": { en: "Outlier correction", ms: "Pembetulan data terpencil" },
+    "report.analysis": { en: "Analysis", ms: "Analisis" },
+    "report.filters": { en: "Filters", ms: "Penapis" },
+    "report.titleTypes": { en: "Title types", ms: "Jenis hakmilik" },
+    "report.streets": { en: "Streets", ms: "Jalan" },
+    "report.dates": { en: "Transaction dates", ms: "Tarikh transaksi" },
+    "report.sources": { en: "Data Sources", ms: "Sumber Data" },
+    "report.outliers": { en: "Outliers", ms: "Data Terpencil" },
+    "report.points": { en: "Data Points", ms: "Titik Data" },
+    "report.house": { en: "House No.", ms: "No. Rumah" },
+    "report.title": { en: "Title No.", ms: "No. Hakmilik" },
+    "report.type": { en: "Type", ms: "Jenis" },
+    "report.date": { en: "Date", ms: "Tarikh" },
+    "report.address": { en: "Address", ms: "Alamat" },
+    "report.source": { en: "Source", ms: "Sumber" },
+    "report.status": { en: "Status", ms: "Status" },
+    "report.footer": {
+      en: "Generated in the browser by the Title Number Generator. The title number is a statistical estimate and should be verified against the land office records.",
+      ms: "Dijana dalam pelayar oleh Penjana Nombor Hakmilik. Nombor hakmilik ini ialah anggaran statistik dan perlu disahkan dengan rekod pejabat tanah."
+    },
+    "report.frameTitle": { en: "Calculation report", ms: "Laporan pengiraan" },
+    
+    // Page: reverse lookup
+    "reverse.result": { en: "Title No. {title} → House No. {houses}", ms: "No. Hakmilik {title} → No. Rumah {houses}" },
+    "reverse.or": { en: "or", ms: "atau" },
+    "reverse.evenSide": { en: "Even", ms: "Genap" },
+    "reverse.oddSide": { en: "Odd", ms: "Ganjil" },
+    "reverse.beyondHouse": { en: "{house} (beyond the known houses)", ms: "{house} (di luar rumah yang diketahui)" },
+    
+    // Page: single result
+    "result.heading": {
+      en: "House Number: {house}<br>Calculated Title Number:",
+      ms: "Nombor Rumah: {house}<br>Nombor Hakmilik Dikira:"
+    },
+    "result.range": { en: "95% range: {low} – {high}", ms: "Julat 95%: {low} – {high}" },
+    "result.rangeUnreliable": {
+      en: "(add more data points for a reliable range)",
+      ms: "(tambah lebih banyak titik data untuk julat yang boleh dipercayai)"
+    },
+    "result.mostLikely": { en: "most likely, {likelihood}", ms: "paling mungkin, {likelihood}" },
+    "result.let": { en: "Let {transform}", ms: "Biar {transform}" },
+    "result.formula": { en: "Formula: {formula}", ms: "Formula: {formula}" },
+    
+    // Command line
+    "cli.result": { en: "House No. {house}: title {title}", ms: "No. Rumah {house}: hakmilik {title}" },
+    "cli.outliers": { en: "Ignored outliers:", ms: "Data terpencil yang diabaikan:" },
+    "cli.dataIssues": { en: "Data issues:", ms: "Masalah data:" }
+  };
+  
+  let currentLanguage = DEFAULT_LANGUAGE;
+  
+  /**
+   * Switches the language used by t() and the formatters. Unknown codes are
+   * ignored. Returns the language now in use.
+   */
+  function setLanguage(lang) {
+    if (Object.prototype.hasOwnProperty.call(LANGUAGES, lang)) {
+      currentLanguage = lang;
+    }
+    return currentLanguage;
+  }
+  
+  function getLanguage() {
+    return currentLanguage;
+  }
+  
+  function getLocale() {
+    return LANGUAGES[currentLanguage].locale;
+  }
+  
+  /**
+   * Looks up a message in the current language, falling back to English and
+   * then to the key itself, and fills in its "{name}" parameters
+   */
+  function t(key, params = {}) {
+    const entry = MESSAGES[key];
+    let text = entry ? (entry[currentLanguage] ?? entry[DEFAULT_LANGUAGE]) : key;
+    if (typeof text === "object") {
+      text = params.count === 1 ? text.one : text.other;
+    }
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+  
+  /**
+   * Formats a number for the current language, e.g. "1,234.5".
+   * @param {number} [digits] - Fixed number of decimal places
+   */
+  function formatNumber(value, digits) {
+    const options = digits === undefined ? {} : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+    return new Intl.NumberFormat(getLocale(), options).format(value);
+  }
+  
+  /**
+   * Formats a date as "12 Aug 2020" (or "12 Ogo 2020")
+   */
+  function formatDate(date) {
+    return new Intl.DateTimeFormat(getLocale(), { day: "numeric", month: "short", year: "numeric" }).format(date);
+  }
+  
+  /**
+   * Formats a time of day as "14:05"
+   */
+  function formatTime(date) {
+    return new Intl.DateTimeFormat(getLocale(), { hour: "2-digit", minute: "2-digit", hourCycle: "h23" }).format(date);
+  }
+  
+  /**
+   * Joins items as "a, b and c" (or "a, b dan c")
+   */
+  function formatList(items) {
+    return new Intl.ListFormat(getLocale(), { style: "long", type: "conjunction" }).format(items.map(String));
+  }
+  
+  
+  return {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    MESSAGES,
+    setLanguage,
+    getLanguage,
+    getLocale,
+    t,
+    formatNumber,
+    formatDate,
+    formatTime,
+    formatList
+  };
+}));
@@ -1,44 +1,162 @@
 // --- Constants ---
-// We will load the SheetJS library dynamically
-const SHEET_JS_URL = "https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js";
+// We will load the SheetJS library dynamically, from the bundled copy first
+const SHEET_JS_URL = "./vendor/xlsx.full.min.js";
+const SHEET_JS_CDN_URL = "https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js";
+const SERVICE_WORKER_URL = "./service-worker.js";
 
-const MAX_POINTS = 100;
-const MIN_POINTS = 2;
-const CONFIDENCE_THRESHOLD = 90;
+const POINTS_PER_PAGE = 100; // Data point rows listed at a time
+const MAX_BATCH_TARGETS = 500;
+const HISTORY_LIMIT = 100; // Undo steps kept
+const NEIGHBOUR_COUNT = 4; // Nearest houses that vote on the target's title type
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 320;
+const CHART_PADDING = { top: 16, right: 20, bottom: 44, left: 64 };
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Saved JPPH template layouts. Rows and columns are 1-based, as shown in Excel.
+const TEMPLATE_STORAGE_KEY = "titleGen.templateProfiles";
+const PROJECT_STORAGE_KEY = "titleGen.projects";
+const CURRENT_PROJECT_KEY = "titleGen.currentProject";
+const PROJECT_FILE_VERSION = 2; // 2: data points carry stable IDs
+const AUTOSAVE_DELAY_MS = 500;
+const SHARE_HASH_PREFIX = "#share=";
+const SHARE_FORMAT_DEFLATE = "z"; // Payload marker: deflate-compressed JSON
+const SHARE_FORMAT_PLAIN = "j"; // Payload marker: plain JSON, for browsers without CompressionStream
+const SHARE_LINK_WARN_LENGTH = 8000; // Some chat and mail apps cut longer links
+const LANGUAGE_STORAGE_KEY = "titleGen.language";
+
+// Styles of the standalone calculation report (printed and exported as HTML)
+const REPORT_CSS = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #111; margin: 2rem; font-size: 14px; }
+  h1 { font-size: 1.5rem; margin: 0 0 0.25rem 0; }
+  h2 { font-size: 1.1rem; margin: 1.5rem 0 0.5rem 0; border-bottom: 1px solid #999; padding-bottom: 0.25rem; }
+  .meta { color: #555; margin: 0 0 1rem 0; }
+  .result { font-size: 1.25rem; margin: 0.5rem 0; }
+  .result b { font-size: 1.6rem; }
+  .analysis { white-space: pre-line; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+  th { background: #f2f2f2; }
+  .details th { width: 30%; }
+  tr.outlier td, tr.excluded td, tr.other td { color: #777; }
+  footer { margin-top: 2rem; color: #555; font-size: 0.85rem; }
+  @media print {
+    body { margin: 0; }
+    h2 { break-after: avoid; }
+    tr { break-inside: avoid; }
+  }
+`;
+
+// Parsing and prediction live in engine.js (loaded before this file)
+const {
+  MIN_POINTS,
+  DEFAULT_TEMPLATE,
+  parseJpphWorkbook,
+  findDataIssues,
+  getRecordKey,
+  predictTitle,
+  normalizeType,
+  parseAddress,
+  normalizePlaceName,
+  getStreetKey,
+  parseExcelDate,
+  formatDate,
+  parseDelimitedText,
+  getSheetRows,
+  detectTemplate,
+  fitPattern,
+  getRegressionForHouse,
+  predictFromFit,
+  interpolateNeighbours,
+  formatNeighbours,
+  findHousesForTitle,
+  parseTitleNumber,
+  formatFormula,
+  formatConfidence
+} = TitleEngine;
+
+// Interface text and locale formatting live in i18n.js (loaded before engine.js)
+const {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  t,
+  setLanguage,
+  getLanguage,
+  formatNumber,
+  formatTime
+} = TitleI18n;
 
 // --- Global State ---
-let allUploadedData = []; // This will hold all data from the Excel file
+let allUploadedData = []; // The data model: every data point, imported or entered by hand. Rows are rendered from it.
+let nextPointId = 1; // Stable data point IDs
+let undoStack = []; // Snapshots of the model before each change
+let redoStack = [];
+let pendingEdit = null; // Snapshot taken at the start of a field edit, recorded when the edit ends
 let normalizedTypeMap = new Map(); // Stores normalized_type -> Original_Type
+let streetMap = new Map(); // Stores street_key -> { label, street, taman }
+let dataIssues = new Map(); // Stores point id -> data-quality issues flagged on it
+let dataPage = 0; // Page of the data point list on show
+let batchResults = []; // Rows of the last batch prediction, kept for export
+let lastReport = null; // How the last single prediction was derived, kept for the report
+let lastImports = []; // The last imported { name, sheets } entries, kept for manual template mapping
+let pendingMappings = []; // Imported files still waiting for the manual mapping dialog
+let mappingDialogState = null; // { entries, append } the open mapping dialog applies to
+let addressOptions = { aSuffixIsNext: true }; // Per-project address conventions, e.g. 12A -> 13
+let currentProject = null; // { id, name, createdAt, updatedAt } of the open project
+let autosaveTimer = null;
+let restoringProject = false; // Suppresses autosave while a project is being loaded
 
 /**
  * Helper function to dynamically load a script
  */
-function loadScript(url, callback) {
+function loadScript(url, callback, onError) {
   const script = document.createElement('script');
   script.src = url;
   script.onload = callback; // Run the callback function once the script is loaded
-  script.onerror = () => {
-    // Show a user-friendly error if the script fails to load
-    const errorContainer = document.getElementById("error-container");
-    const errorText = document.getElementById("error-text");
-    if(errorContainer && errorText) {
-        errorText.innerHTML = "<b>Critical Error:</b> Failed to load Excel processing library. Please check your internet connection (or disable ad-blockers) and refresh.";
-        errorContainer.classList.remove("hidden");
-    }
-  };
+  script.onerror = onError;
   document.body.appendChild(script);
 }
 
+/**
+ * Loads SheetJS in the background: the bundled copy first, then the CDN.
+ * The app itself does not wait for it; only Excel import and XLSX export need it.
+ */
+function loadSheetJs() {
+  loadScript(SHEET_JS_URL, onSheetJsLoaded, () => {
+    loadScript(SHEET_JS_CDN_URL, onSheetJsLoaded, onSheetJsFailed);
+  });
+}
+
 /**
  * This function is the callback that runs *after* SheetJS is loaded
  */
 function onSheetJsLoaded() {
   if (!window.XLSX) {
     console.error("SheetJS library object (window.XLSX) not found.");
-    return;
+    onSheetJsFailed();
+  }
+}
+
+/**
+ * Shows a user-friendly notice if the Excel library cannot be loaded
+ */
+function onSheetJsFailed() {
+  const notice = document.getElementById("library-notice");
+  if (notice) {
+    notice.dataset.i18n = "library.unavailable";
+    notice.textContent = t("library.unavailable");
+    notice.classList.remove("hidden");
   }
-  // Now that the library is loaded, initialize the main application logic
-  initializeApp();
+}
+
+/**
+ * Registers the service worker that caches the app for offline use
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+  navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(err => {
+    console.warn("Offline support is unavailable:", err.message);
+  });
 }
 
 /**
@@ -49,13 +167,39 @@ function initializeApp() {
   // --- Get DOM Elements ---
   const form = document.getElementById("calculator-form");
   const dataPointContainer = document.getElementById("data-point-container");
+  const dataIssueSummary = document.getElementById("data-issue-summary");
+  const dataPointPager = document.getElementById("data-point-pager");
+  const pagePrevBtn = document.getElementById("page-prev-btn");
+  const pageNextBtn = document.getElementById("page-next-btn");
+  const pageStatus = document.getElementById("page-status");
   const addPointBtn = document.getElementById("add-point-btn");
+  const undoBtn = document.getElementById("undo-btn");
+  const redoBtn = document.getElementById("redo-btn");
   const targetHouse_el = document.getElementById("target-house");
   
+  // Target Mode Elements
+  const targetModeSelect = document.getElementById("target-mode");
+  const singleTargetGroup = document.getElementById("single-target-group");
+  const batchTargetGroup = document.getElementById("batch-target-group");
+  const targetBatch_el = document.getElementById("target-batch");
+  const reverseTargetGroup = document.getElementById("reverse-target-group");
+  const targetTitle_el = document.getElementById("target-title");
+  const segmentToggle = document.getElementById("segment-toggle");
+  const outlierModeSelect = document.getElementById("outlier-mode");
+  const numberingSchemeSelect = document.getElementById("numbering-scheme");
+  const predictionMethodSelect = document.getElementById("prediction-method");
+  
   const resultContainer = document.getElementById("result-container");
   const resultText = document.getElementById("result-text");
   const formulaText = document.getElementById("formula-text");
   const resultTitleType = document.getElementById("result-title-type");
+  const resultInterval = document.getElementById("result-interval");
+  const resultChart = document.getElementById("result-chart");
+  const resultCandidates = document.getElementById("result-candidates");
+  const compareTypesToggle = document.getElementById("compare-types-toggle");
+  const typeComparison = document.getElementById("type-comparison");
+  const typeSuggestion = document.getElementById("type-suggestion");
+  const typeComparisonBody = document.getElementById("type-comparison-body");
   
   const analysisLevel = document.getElementById("analysis-level");
   const analysisText = document.getElementById("analysis-text");
@@ -63,19 +207,89 @@ function initializeApp() {
   const errorContainer = document.getElementById("error-container");
   const errorText = document.getElementById("error-text");
   
+  // Batch Result Elements
+  const batchResultContainer = document.getElementById("batch-result-container");
+  const batchResultBody = document.getElementById("batch-result-body");
+  const batchResultTitleType = document.getElementById("batch-result-title-type");
+  const batchExportCsvBtn = document.getElementById("batch-export-csv-btn");
+  const batchExportXlsxBtn = document.getElementById("batch-export-xlsx-btn");
+  
+  // Reverse Lookup Elements
+  const reverseResultContainer = document.getElementById("reverse-result-container");
+  const reverseResultTitleType = document.getElementById("reverse-result-title-type");
+  const reverseResultText = document.getElementById("reverse-result-text");
+  const reverseAnalysis = document.getElementById("reverse-analysis");
+  const reverseResultBody = document.getElementById("reverse-result-body");
+  
+  // Report Elements
+  const reportPrintBtn = document.getElementById("report-print-btn");
+  const reportHtmlBtn = document.getElementById("report-html-btn");
+  const reportJsonBtn = document.getElementById("report-json-btn");
+  
   // Excel Upload Elements
   const excelUpload = document.getElementById("excel-upload");
   const uploadProcessingMsg = document.getElementById("upload-processing-msg");
+  const uploadSummary = document.getElementById("upload-summary");
+  const pasteToggleBtn = document.getElementById("paste-toggle-btn");
+  const pasteContainer = document.getElementById("paste-container");
+  const pasteInput = document.getElementById("paste-input");
+  const pasteImportBtn = document.getElementById("paste-import-btn");
   const dropZone = document.querySelector(".upload-drop-zone");
+  
+  // Template Mapping Elements
+  const templateSelect = document.getElementById("template-select");
+  const templateEditBtn = document.getElementById("template-edit-btn");
+  const templateDeleteBtn = document.getElementById("template-delete-btn");
+  const templateDialog = document.getElementById("template-dialog");
+  const mapDialogMessage = document.getElementById("map-dialog-message");
+  const mapSheetSelect = document.getElementById("map-sheet");
+  const mapHouseRow = document.getElementById("map-house-row");
+  const mapDateRow = document.getElementById("map-date-row");
+  const mapTitleRow = document.getElementById("map-title-row");
+  const mapFirstColumn = document.getElementById("map-first-column");
+  const mapProfileName = document.getElementById("map-profile-name");
+  const mapPreview = document.getElementById("map-preview");
+  const mapCancelBtn = document.getElementById("map-cancel-btn");
+  const mapApplyBtn = document.getElementById("map-apply-btn");
 
   // In-Page Type Selector Elements
   const typeSelectorContainer = document.getElementById("type-selector-container");
   const typeSelectorCheckboxes = document.getElementById("type-selector-checkboxes");
   
+  // In-Page Date Range Elements
+  const dateFilterContainer = document.getElementById("date-filter-container");
+  const dateUndatedNote = document.getElementById("date-undated-note");
+  const dateRangeSelect = document.getElementById("date-range-select");
+  const dateCustomRange = document.getElementById("date-custom-range");
+  const dateFromInput = document.getElementById("date-from");
+  const dateToInput = document.getElementById("date-to");
+  
+  // In-Page Street Selector Elements
+  const streetSelectorContainer = document.getElementById("street-selector-container");
+  const streetSelectorCheckboxes = document.getElementById("street-selector-checkboxes");
+  
   // Sort Elements
   const sortContainer = document.getElementById("sort-container");
   const sortSelect = document.getElementById("sort-select");
   
+  // Address Option Elements
+  const suffixNextToggle = document.getElementById("suffix-next-toggle");
+  
+  // Project Elements
+  const projectSelect = document.getElementById("project-select");
+  const projectNameInput = document.getElementById("project-name");
+  const projectNewBtn = document.getElementById("project-new-btn");
+  const projectDuplicateBtn = document.getElementById("project-duplicate-btn");
+  const projectDeleteBtn = document.getElementById("project-delete-btn");
+  const projectExportBtn = document.getElementById("project-export-btn");
+  const projectImportBtn = document.getElementById("project-import-btn");
+  const projectImportInput = document.getElementById("project-import-input");
+  const shareLinkBtn = document.getElementById("share-link-btn");
+  const shareStatus = document.getElementById("share-status");
+  
+  // Language Elements
+  const languageButtons = document.querySelectorAll("#language-toggle [data-language]");
+  
   // --- 1. Excel Upload Logic ---
   
   dropZone.addEventListener("dragover", (e) => {
@@ -90,117 +304,251 @@ function initializeApp() {
     e.preventDefault();
     dropZone.classList.remove("dragover");
     const files = e.dataTransfer.files;
-    if (files.length > 0) handleFile(files[0]);
+    if (files.length > 0) handleFiles(Array.from(files));
   });
   excelUpload.addEventListener("change", (e) => {
     const files = e.target.files;
-    if (files.length > 0) handleFile(files[0]);
+    if (files.length > 0) handleFiles(Array.from(files));
   });
   
-  function handleFile(file) {
+  /**
+   * Reads every dropped workbook or text table and merges all of their sheets
+   */
+  async function handleFiles(files) {
     const validTypes = [
       "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
       "application/vnd.ms-excel"
     ];
-    if (!validTypes.includes(file.type) && !file.name.endsWith('.xlsx') && !file.name.endsWith('.xls')) {
-      showError("Invalid file type. Please upload an .xlsx or .xls file.");
+    const isExcel = (file) => validTypes.includes(file.type) || file.name.endsWith('.xlsx') || file.name.endsWith('.xls');
+    const invalid = files.find(file => !isExcel(file) && !isDelimitedFile(file));
+    if (invalid) {
+      showError(t("upload.invalidType", { file: escapeHtml(invalid.name) }));
+      return;
+    }
+    if (!window.XLSX && files.some(isExcel)) {
+      showError(t("upload.libraryLoading"));
       return;
     }
     
     uploadProcessingMsg.classList.remove("hidden");
-    errorContainer.classList.add("hidden");
-    typeSelectorContainer.classList.add("hidden");
-    sortContainer.classList.add("hidden"); // Hide sorter
-    clearDataPoints(true); // Full clear on new upload
-    
-    const reader = new FileReader();
     
-    reader.onload = (event) => {
-      let workbook, worksheet, excelData;
+    const entries = [];
+    for (const file of files) {
       try {
-        const data = event.target.result;
-        workbook = XLSX.read(data, { type: 'array' });
-        const sheetName = workbook.SheetNames[0];
-        worksheet = workbook.Sheets[sheetName];
-        excelData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+        if (isExcel(file)) {
+          const data = await readFileAsArrayBuffer(file);
+          entries.push(workbookToEntry(file.name, XLSX.read(data, { type: 'array' })));
+        } else {
+          const text = await readFileAsText(file);
+          entries.push(tableToEntry(file.name, parseDelimitedText(text)));
+        }
       } catch (err) {
-        console.error("Error reading Excel structure:", err);
-        showError("Could not read the Excel file. It may be corrupt or an invalid format.");
+        console.error("Error reading file structure:", err);
+        showError(t("upload.unreadable", { file: escapeHtml(file.name) }));
         uploadProcessingMsg.classList.add("hidden");
         excelUpload.value = null;
         return;
       }
+    }
 
-      try {
-        processExcelData(excelData);
-      } catch (err) {
-        console.error("Error processing Excel data:", err);
-        showError(`File read, but data processing failed: ${err.message}. Please check your template.`);
-      } finally {
-        uploadProcessingMsg.classList.add("hidden"); 
-        excelUpload.value = null; 
+    try {
+      startImport(entries);
+    } catch (err) {
+      console.error("Error processing Excel data:", err);
+      showError(t("upload.processingFailed", { error: escapeHtml(err.message) }));
+    } finally {
+      uploadProcessingMsg.classList.add("hidden"); 
+      excelUpload.value = null; 
+    }
+  }
+  
+  pasteToggleBtn.addEventListener("click", () => {
+    pasteContainer.classList.toggle("hidden");
+    if (!pasteContainer.classList.contains("hidden")) pasteInput.focus();
+  });
+  
+  pasteImportBtn.addEventListener("click", () => {
+    const text = pasteInput.value.trim();
+    if (!text) {
+      showError(t("paste.empty"));
+      return;
+    }
+    
+    try {
+      startImport([tableToEntry(t("paste.sourceName"), parseDelimitedText(text))]);
+      if (allUploadedData.some(record => !record.manual)) {
+        pasteInput.value = '';
+        pasteContainer.classList.add("hidden");
       }
-    };
+    } catch (err) {
+      console.error("Error processing pasted data:", err);
+      showError(t("paste.failed", { error: escapeHtml(err.message) }));
+    }
+  });
+  
+  /**
+   * Clears the current data and imports the given entries
+   */
+  function startImport(entries) {
+    uploadSummary.classList.add("hidden");
+    errorContainer.classList.add("hidden");
+    typeSelectorContainer.classList.add("hidden");
+    sortContainer.classList.add("hidden"); // Hide sorter
+    clearDataPoints(true); // Full clear on new upload
     
-    reader.onerror = () => {
-      showError("Error reading file.");
-      uploadProcessingMsg.classList.add("hidden");
+    lastImports = entries;
+    templateEditBtn.disabled = false;
+    importWorkbooks(entries);
+  }
+  
+  function isDelimitedFile(file) {
+    const name = file.name.toLowerCase();
+    return ['text/csv', 'text/tab-separated-values'].includes(file.type)
+      || name.endsWith('.csv') || name.endsWith('.tsv') || name.endsWith('.txt');
+  }
+  
+  function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (event) => resolve(event.target.result);
+      reader.onerror = () => reject(reader.error || new Error("Error reading file."));
+      reader.readAsText(file);
+    });
+  }
+  
+  function readFileAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (event) => resolve(event.target.result);
+      reader.onerror = () => reject(reader.error || new Error("Error reading file."));
+      reader.readAsArrayBuffer(file);
+    });
+  }
+  
+  /**
+   * Converts a SheetJS workbook into an import entry: { name, sheets: [{ name, rows }] }
+   */
+  function workbookToEntry(name, workbook) {
+    return {
+      name,
+      sheets: workbook.SheetNames.map((sheetName, idx) => ({ name: sheetName, rows: getSheetRows(XLSX, workbook, idx) }))
     };
+  }
+  
+  /**
+   * Wraps a parsed CSV/TSV/pasted table as an import entry.
+   * Such tables usually hold one transaction per row, so they may be transposed on import.
+   */
+  function tableToEntry(name, rows) {
+    return { name, sheets: [{ name: 'Table', rows }], table: true };
+  }
+  
+  /**
+   * Imports several workbooks at once. Workbooks whose layout cannot be
+   * found are queued for the manual mapping dialog.
+   */
+  function importWorkbooks(entries) {
+    const records = [];
+    pendingMappings = [];
+    
+    entries.forEach(entry => {
+      const workbookRecords = collectWorkbookRecords(entry);
+      if (workbookRecords) {
+        records.push(...workbookRecords);
+      } else {
+        pendingMappings.push(entry);
+      }
+    });
     
-    reader.readAsArrayBuffer(file);
+    setUploadedData(records, false);
+    openNextPendingMapping();
   }
   
   /**
-   * Parses the Excel data and populates the global data array
+   * Reads every sheet of an import entry with the selected template.
+   * Returns the records, or null when no sheet yields any data.
+   * @param {Object} entry - { name, sheets: [{ name, rows }], table }
+   * @param {Object} [mapping] - Use this mapping instead of the selected template
    */
-  function processExcelData(data) {
-    if (data.length < 26) {
-      showError("Invalid Excel template. The file must have at least 26 rows.");
-      return;
-    }
+  function collectWorkbookRecords(entry, mapping = null) {
+    const selected = templateSelect.value;
+    const fixedMapping = mapping || (selected !== 'auto' ? getTemplateProfile(selected) : null);
+    const records = [];
+    
+    entry.sheets.forEach(sheet => {
+      const { records: sheetRecords } = parseJpphWorkbook(sheet.rows, {
+        mapping: fixedMapping,
+        source: { file: entry.name, sheet: sheet.name },
+        table: entry.table,
+        addressOptions
+      });
+      records.push(...sheetRecords);
+    });
+    
+    return records.length > 0 ? records : null;
+  }
+  
+  /**
+   * Merges imported records into the global data array, collapsing
+   * duplicate transactions (same street, title type, house and title)
+   * @param {boolean} append - Keep the records already loaded
+   */
+  function setUploadedData(records, append) {
+    recordHistory();
+    
+    // Blank hand-entered rows make way for the imported data
+    const merged = append ? allUploadedData.filter(record => !isBlankPoint(record)) : [];
+    const byKey = new Map(merged.map(record => [getRecordKey(record), record]));
+    let duplicates = 0;
+    
+    records.forEach(record => {
+      const key = getRecordKey(record);
+      const existing = byKey.get(key);
+      
+      if (existing) {
+        duplicates++;
+        existing.sources.push(...record.sources);
+        if (!existing.date && record.date) existing.date = record.date;
+        return;
+      }
+      
+      record.excluded = false;
+      byKey.set(key, assignPointId(record));
+      merged.push(record);
+    });
     
-    const houseLine = data[10] || []; // Row 11
-    const dateLine = data[22] || [];  // Row 23
-    const titleLine = data[25] || []; // Row 26
+    // Upload order across every file and sheet, for the default sort
+    merged.forEach((record, idx) => { record.index = idx; });
     
-    allUploadedData = []; 
+    allUploadedData = merged;
+    refreshDataFilters();
+    
+    showUploadSummary(duplicates);
+    
+    const importedCount = merged.filter(record => !record.manual).length;
+    if (importedCount > 0 && importedCount < MIN_POINTS) {
+      showError(t("upload.notEnough", { count: importedCount }));
+    }
+    ensureMinimumPoints();
+    
+    // Now it's safe to populate the data
+    populateDataPoints(allUploadedData);
+  }
+  
+  /**
+   * Rebuilds the type, street and date filters from allUploadedData
+   */
+  function refreshDataFilters() {
     normalizedTypeMap.clear();
     
-    for (let i = 3; i < houseLine.length; i++) {
-      try {
-        const houseCell = String(houseLine[i] || "");
-        const dateCell = String(dateLine[i] || "");
-        const titleCell = String(titleLine[i] || "");
-        
-        if (houseCell && titleCell && dateCell) {
-          const houseNum = parseHouseNumber(houseCell);
-          const indication = parseTitleIndication(titleCell); 
-          const titleNum = parseTitleNumber(titleCell);
-          const dateObj = parseExcelDate(dateCell);
-          
-          if (houseNum && titleNum) {
-            allUploadedData.push({ 
-              index: i,
-              house: houseNum, 
-              title: titleNum, 
-              type: indication, 
-              date: dateObj,
-              houseNum: parseInt(houseNum), 
-              titleNum: parseInt(titleNum) 
-            });
-            
-            if (indication) { 
-              const normalized = normalizeType(indication);
-              if (!normalizedTypeMap.has(normalized)) {
-                normalizedTypeMap.set(normalized, indication); // Store original case
-              }
-            }
-          }
+    allUploadedData.forEach(record => {
+      if (record.type) { 
+        const normalized = normalizeType(record.type);
+        if (!normalizedTypeMap.has(normalized)) {
+          normalizedTypeMap.set(normalized, record.type); // Store original case
         }
-      } catch (colErr) {
-        console.warn(`Skipped a column (index ${i}) due to a processing error:`, colErr.message);
       }
-    }
+    });
     
     // Only show the selector if there are types
     if (normalizedTypeMap.size > 0) {
@@ -208,10 +556,265 @@ function initializeApp() {
       sortContainer.classList.remove('hidden'); // Show sorter
     }
     
-    // Now it's safe to populate the data
-    populateDataPoints(allUploadedData);
+    buildStreetMap();
+    populateStreetSelector();
+    
+    // The date range filter is only useful when the data has dates
+    dateFilterContainer.classList.toggle('hidden', !allUploadedData.some(record => record.date));
+  }
+  
+  /**
+   * Summarises how many points came from how many files and sheets
+   */
+  function showUploadSummary(duplicates) {
+    const files = new Set();
+    const sheets = new Set();
+    const imported = allUploadedData.filter(record => !record.manual);
+    imported.forEach(record => {
+      record.sources.forEach(source => {
+        files.add(source.file);
+        sheets.add(`${source.file}\u0000${source.sheet}`);
+      });
+    });
+    
+    if (imported.length === 0) {
+      uploadSummary.classList.add("hidden");
+      return;
+    }
+    
+    let summary = t("upload.summary", {
+      points: formatNumber(imported.length),
+      files: t("upload.files", { count: files.size }),
+      sheets: t("upload.sheets", { count: sheets.size })
+    });
+    if (duplicates > 0) {
+      summary += ` ${t("upload.duplicates", { count: duplicates })}`;
+    }
+    uploadSummary.textContent = summary;
+    uploadSummary.dataset.duplicates = duplicates;
+    uploadSummary.classList.remove("hidden");
+  }
+  
+  /**
+   * Formats a record's source for display, e.g. "jpph.xlsx › Sheet1 (+1 more)"
+   */
+  function formatSource(sources) {
+    if (!sources || sources.length === 0) return '';
+    const first = `${sources[0].file} › ${sources[0].sheet}`;
+    return sources.length > 1 ? t("source.more", { source: first, count: sources.length - 1 }) : first;
+  }
+  
+  
+  // --- 1b. Template Mapping & Profiles ---
+  
+  function loadTemplateProfiles() {
+    try {
+      const profiles = JSON.parse(localStorage.getItem(TEMPLATE_STORAGE_KEY));
+      return Array.isArray(profiles) ? profiles : [];
+    } catch (err) {
+      console.warn("Could not read saved template profiles:", err.message);
+      return [];
+    }
+  }
+  
+  function saveTemplateProfiles(profiles) {
+    try {
+      localStorage.setItem(TEMPLATE_STORAGE_KEY, JSON.stringify(profiles));
+    } catch (err) {
+      showError(t("template.saveFailed"));
+    }
+  }
+  
+  /**
+   * Looks up a profile by its select value ("default" or a saved profile name)
+   */
+  function getTemplateProfile(value) {
+    if (value === 'default') return DEFAULT_TEMPLATE;
+    return loadTemplateProfiles().find(profile => profile.name === value) || DEFAULT_TEMPLATE;
+  }
+  
+  /**
+   * Fills the template dropdown with the built-in and saved profiles
+   */
+  function populateTemplateSelect(selectedValue = templateSelect.value) {
+    templateSelect.innerHTML = '';
+    
+    const builtIn = [
+      ['auto', t("template.auto")],
+      ['default', t("template.default", {
+        name: DEFAULT_TEMPLATE.name,
+        rows: `${DEFAULT_TEMPLATE.houseRow}/${DEFAULT_TEMPLATE.dateRow}/${DEFAULT_TEMPLATE.titleRow}`
+      })]
+    ];
+    builtIn.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      templateSelect.appendChild(option);
+    });
+    
+    loadTemplateProfiles().forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.name;
+      option.textContent = profile.name;
+      templateSelect.appendChild(option);
+    });
+    
+    const exists = Array.from(templateSelect.options).some(option => option.value === selectedValue);
+    templateSelect.value = exists ? selectedValue : 'auto';
+    templateDeleteBtn.disabled = ['auto', 'default'].includes(templateSelect.value);
+  }
+  
+  /**
+   * Opens the manual mapping dialog
+   * @param {Array} entries - The { name, sheets } entries the mapping will be applied to
+   * @param {boolean} append - Add the mapped records to the data already loaded
+   */
+  function openTemplateDialog(entries, mapping, message, append) {
+    mappingDialogState = { entries, append };
+    mapDialogMessage.textContent = message;
+    
+    mapSheetSelect.innerHTML = '';
+    entries[0].sheets.forEach((sheet, idx) => {
+      const option = document.createElement('option');
+      option.value = idx;
+      option.textContent = entries.length > 1 ? `${entries[0].name} › ${sheet.name}` : sheet.name;
+      mapSheetSelect.appendChild(option);
+    });
+    
+    mapSheetSelect.value = 0;
+    mapHouseRow.value = mapping.houseRow;
+    mapDateRow.value = mapping.dateRow;
+    mapTitleRow.value = mapping.titleRow;
+    mapFirstColumn.value = mapping.firstColumn;
+    mapProfileName.value = '';
+    
+    updateMappingPreview();
+    templateDialog.classList.remove('hidden');
+  }
+  
+  function closeTemplateDialog() {
+    templateDialog.classList.add('hidden');
+    mappingDialogState = null;
+  }
+  
+  /**
+   * Asks for the mapping of the next imported file whose layout was not found
+   */
+  function openNextPendingMapping() {
+    const entry = pendingMappings.shift();
+    if (!entry) return;
+    openTemplateDialog(
+      [entry],
+      DEFAULT_TEMPLATE,
+      t("template.notFound", { file: entry.name }),
+      true
+    );
+  }
+  
+  /**
+   * Reads the mapping currently entered in the dialog
+   */
+  function readDialogMapping() {
+    return {
+      name: mapProfileName.value.trim(),
+      houseRow: parseInt(mapHouseRow.value) || 0,
+      dateRow: parseInt(mapDateRow.value) || 0,
+      titleRow: parseInt(mapTitleRow.value) || 0,
+      firstColumn: parseInt(mapFirstColumn.value) || 0
+    };
+  }
+  
+  /**
+   * Shows the first few cells of each mapped row and how many pairs they yield
+   */
+  function updateMappingPreview() {
+    if (!mappingDialogState) return;
+    
+    const mapping = readDialogMapping();
+    const entry = mappingDialogState.entries[0];
+    const sheet = entry.sheets[parseInt(mapSheetSelect.value) || 0];
+    const data = sheet ? sheet.rows : [];
+    const sample = (rowNumber) => {
+      if (!rowNumber || !mapping.firstColumn) return '—';
+      const row = data[rowNumber - 1] || [];
+      const cells = row.slice(mapping.firstColumn - 1, mapping.firstColumn + 2).filter(cell => cell !== undefined && cell !== null);
+      return cells.length > 0 ? cells.join(' | ') : t("template.emptyRow");
+    };
+    
+    const valid = mapping.houseRow && mapping.titleRow && mapping.firstColumn;
+    const count = valid
+      ? mappingDialogState.entries.reduce((sum, item) => sum + (collectWorkbookRecords(item, mapping) || []).length, 0)
+      : 0;
+    
+    mapPreview.innerHTML = '';
+    [[t("template.house"), mapping.houseRow], [t("template.date"), mapping.dateRow], [t("template.title"), mapping.titleRow]].forEach(([label, rowNumber]) => {
+      const line = document.createElement('div');
+      line.textContent = `${label}: ${sample(rowNumber)}`;
+      mapPreview.appendChild(line);
+    });
+    const summary = document.createElement('div');
+    summary.className = 'map-preview-count';
+    summary.textContent = t("template.pairsFound", { count: formatNumber(count) });
+    mapPreview.appendChild(summary);
+    
+    mapApplyBtn.disabled = count === 0;
   }
   
+  [mapSheetSelect, mapHouseRow, mapDateRow, mapTitleRow, mapFirstColumn].forEach(input => {
+    input.addEventListener('input', updateMappingPreview);
+  });
+  
+  mapCancelBtn.addEventListener('click', () => {
+    closeTemplateDialog();
+    openNextPendingMapping();
+  });
+  
+  mapApplyBtn.addEventListener('click', () => {
+    const mapping = readDialogMapping();
+    const { entries, append } = mappingDialogState;
+    
+    if (mapping.name) {
+      if (['auto', 'default'].includes(mapping.name)) {
+        showError(t("template.reservedName"));
+        return;
+      }
+      const profiles = loadTemplateProfiles().filter(profile => profile.name !== mapping.name);
+      profiles.push(mapping);
+      saveTemplateProfiles(profiles);
+      populateTemplateSelect(mapping.name);
+    }
+    
+    closeTemplateDialog();
+    errorContainer.classList.add("hidden");
+    
+    const records = entries.flatMap(entry => collectWorkbookRecords(entry, mapping) || []);
+    setUploadedData(records, append);
+    openNextPendingMapping();
+  });
+  
+  templateEditBtn.addEventListener('click', () => {
+    if (lastImports.length === 0) return;
+    const selected = templateSelect.value;
+    const firstSheet = lastImports[0].sheets[0];
+    const mapping = selected === 'auto'
+      ? ((firstSheet && detectTemplate(firstSheet.rows)) || DEFAULT_TEMPLATE)
+      : getTemplateProfile(selected);
+    pendingMappings = [];
+    openTemplateDialog(lastImports, mapping, t("template.adjust"), false);
+  });
+  
+  templateSelect.addEventListener('change', () => {
+    templateDeleteBtn.disabled = ['auto', 'default'].includes(templateSelect.value);
+  });
+  
+  templateDeleteBtn.addEventListener('click', () => {
+    const name = templateSelect.value;
+    if (['auto', 'default'].includes(name)) return;
+    saveTemplateProfiles(loadTemplateProfiles().filter(profile => profile.name !== name));
+    populateTemplateSelect('auto');
+  });
+  
   /**
    * Populates the checkbox filter UI
    */
@@ -223,20 +826,22 @@ function initializeApp() {
     allDiv.className = 'checkbox-filter-group all-filter';
     allDiv.innerHTML = `
       <input type="checkbox" id="filter-all" value="ALL" checked>
-      <label for="filter-all">All (Manual Remove)</label>
+      <label for="filter-all" data-i18n="filter.allTypes">${t("filter.allTypes")}</label>
     `;
     typeSelectorCheckboxes.appendChild(allDiv);
     
     // 2. Create buttons for each type
-    for (const [normalized, original] of normalizedTypeMap.entries()) {
+    Array.from(normalizedTypeMap.entries()).forEach(([normalized, original], idx) => {
       const div = document.createElement('div');
       div.className = 'checkbox-filter-group';
       div.innerHTML = `
-        <input type="checkbox" id="filter-${normalized}" value="${normalized}" checked>
-        <label for="filter-${normalized}">${original}</label>
+        <input type="checkbox" id="filter-${idx}" checked>
+        <label for="filter-${idx}"></label>
       `;
+      div.querySelector('input').value = normalized;
+      div.querySelector('label').textContent = original;
       typeSelectorCheckboxes.appendChild(div);
-    }
+    });
     
     // Add event listeners to all checkboxes
     typeSelectorCheckboxes.querySelectorAll('input[type="checkbox"]').forEach(cb => {
@@ -263,132 +868,820 @@ function initializeApp() {
     filterDataPoints();
   }
   
-  /**
-   * Hides or shows data points based on the active filters
-   */
-  function filterDataPoints() {
-    const allCheckbox = document.getElementById('filter-all');
-    if (!allCheckbox) {
-      return; 
-    }
-    
-    const activeFilters = new Set();
-    const typeCheckboxes = typeSelectorCheckboxes.querySelectorAll('input:not(#filter-all):checked');
-    typeCheckboxes.forEach(cb => activeFilters.add(cb.value));
-
-    const allRows = dataPointContainer.querySelectorAll('.input-group');
-    allRows.forEach(row => {
-      const rowTypeNormalized = row.dataset.titleType;
-      
-      if (allCheckbox.checked || activeFilters.has(rowTypeNormalized)) {
-        row.classList.remove('hidden');
-      } else {
-        row.classList.add('hidden');
-      }
-    });
+  dateRangeSelect.addEventListener('change', () => {
+    dateCustomRange.classList.toggle('hidden', dateRangeSelect.value !== 'custom');
+    filterDataPoints();
+  });
+  dateFromInput.addEventListener('change', filterDataPoints);
+  dateToInput.addEventListener('change', filterDataPoints);
+  
+  function resetDateRange() {
+    dateRangeSelect.value = 'all';
+    dateFromInput.value = '';
+    dateToInput.value = '';
+    dateCustomRange.classList.add('hidden');
   }
-
+  
   /**
-   * Takes an array of data objects and populates the UI
+   * Returns the selected transaction date range as { from, to } (either may be null),
+   * or null when all dates are included
    */
-  function populateDataPoints(dataToPopulate) {
-    clearDataPoints(false); // Clear rows but NOT filters
-    
-    let pointsFound = 0;
-    dataToPopulate.forEach(item => {
-      createDataPointWithValue(item.house, item.title, item.type);
-      pointsFound++;
-    });
+  function getDateRange() {
+    if (dateFilterContainer.classList.contains('hidden')) return null;
+    const selected = dateRangeSelect.value;
     
-    if (pointsFound < 2) {
-      if(allUploadedData.length > 0) {
-        showError(`Found ${pointsFound} valid data pairs. Not enough data to calculate a pattern.`);
-      }
-      // Add blank rows for manual entry
-      createBlankDataPoint();
-      createBlankDataPoint();
+    if (selected === 'custom') {
+      const from = parseExcelDate(dateFromInput.value);
+      const to = parseExcelDate(dateToInput.value);
+      return from || to ? { from, to } : null;
     }
     
-    // Re-apply filters after populating
-    filterDataPoints();
+    const years = parseInt(selected, 10);
+    if (isNaN(years)) return null;
+    const from = new Date();
+    from.setHours(0, 0, 0, 0);
+    from.setFullYear(from.getFullYear() - years);
+    return { from, to: null };
   }
-
   
-  /** Smart Parsers (Updated) */
-  function normalizeType(text) {
-    // Ignores case and all spaces
-    return text.toUpperCase().replace(/\s/g, '');
+  /**
+   * Checks a data point's date (a timestamp) against a range. Undated points
+   * are kept, since the range cannot rule them out.
+   */
+  function isInDateRange(timestamp, range) {
+    if (!timestamp) return true;
+    const time = Number(timestamp);
+    return (!range.from || time >= range.from.getTime()) && (!range.to || time <= range.to.getTime());
   }
   
-  function parseHouseNumber(cellText) {
-    const numMatch = cellText.match(/(\d+)/);
-    if (!numMatch) return null;
-    let houseNum = parseInt(numMatch[1], 10);
-    const numEndIndex = numMatch.index + numMatch[1].length;
-    const restOfString = cellText.substring(numEndIndex).trim();
-    if (restOfString.toUpperCase().startsWith('A')) {
-      houseNum += 1;
-    }
-    return houseNum.toString();
+  /**
+   * Collects the streets (or tamans) of the imported data
+   */
+  function buildStreetMap() {
+    streetMap.clear();
+    allUploadedData.forEach(record => {
+      const key = record.streetKey || '';
+      if (record.manual || streetMap.has(key)) return;
+      const address = record.address || {};
+      streetMap.set(key, {
+        label: [address.street, address.taman].filter(Boolean).join(', ') || t("filter.unknownStreet"),
+        street: normalizePlaceName(address.street || ''),
+        taman: normalizePlaceName(address.taman || '')
+      });
+    });
   }
   
   /**
-   * *** THIS IS THE FIX (Bug 1) ***
-   * Smart parser for Title Numbers.
-   * Finds the LAST number with 1 OR MORE digits.
+   * Populates the street filter UI. Only shown when the data spans several streets.
    */
-  function parseTitleNumber(cellText) {
-    // Find all sequences of 1 or more digits
-    const numMatches = cellText.match(/\d+/g); 
+  function populateStreetSelector() {
+    streetSelectorCheckboxes.innerHTML = '';
     
-    if (!numMatches) {
-      return null; // No number found
+    if (streetMap.size < 2) {
+      streetSelectorContainer.classList.add('hidden');
+      filterDataPoints();
+      return;
     }
     
-    // Return the *last* one found in the string
-    return numMatches[numMatches.length - 1];
+    const allDiv = document.createElement('div');
+    allDiv.className = 'checkbox-filter-group all-filter';
+    allDiv.innerHTML = `
+      <input type="checkbox" id="street-filter-all" value="ALL" checked>
+      <label for="street-filter-all" data-i18n="filter.allStreets">${t("filter.allStreets")}</label>
+    `;
+    streetSelectorCheckboxes.appendChild(allDiv);
+    
+    Array.from(streetMap.entries()).forEach(([key, street], idx) => {
+      const div = document.createElement('div');
+      div.className = 'checkbox-filter-group';
+      div.innerHTML = `
+        <input type="checkbox" id="street-filter-${idx}" checked>
+        <label for="street-filter-${idx}"></label>
+      `;
+      div.querySelector('input').value = key;
+      div.querySelector('label').textContent = street.label;
+      if (!street.street && !street.taman) div.querySelector('label').dataset.i18n = "filter.unknownStreet";
+      streetSelectorCheckboxes.appendChild(div);
+    });
+    
+    streetSelectorCheckboxes.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+      cb.addEventListener('change', onStreetFilterChange);
+    });
+    
+    streetSelectorContainer.classList.remove('hidden');
   }
   
   /**
-   * *** THIS IS THE FIX (Bug 2) ***
-   * Smart parser for Title Indication.
-   * Grabs all text before the LAST number.
+   * Handles click on any street filter checkbox
    */
-  function parseTitleIndication(cellText) {
-    const numMatches = cellText.match(/\d+/g);
-    if (!numMatches) {
-      return ""; // No number, so no indication
-    }
+  function onStreetFilterChange(e) {
+    const allCheckbox = document.getElementById('street-filter-all');
+    const streetCheckboxes = streetSelectorCheckboxes.querySelectorAll('input:not(#street-filter-all)');
+
+    if (e.target.id === 'street-filter-all') {
+      streetCheckboxes.forEach(cb => cb.checked = allCheckbox.checked);
+    } else {
+      allCheckbox.checked = Array.from(streetCheckboxes).every(cb => cb.checked);
+    }
     
-    const lastNum = numMatches[numMatches.length - 1];
-    const lastNumIndex = cellText.lastIndexOf(lastNum);
+    filterDataPoints();
+  }
+  
+  /**
+   * Selects only the given streets in the street filter
+   */
+  function selectStreets(streetKeys) {
+    const allCheckbox = document.getElementById('street-filter-all');
+    if (!allCheckbox) return;
+    
+    const keys = new Set(streetKeys);
+    const streetCheckboxes = streetSelectorCheckboxes.querySelectorAll('input:not(#street-filter-all)');
+    streetCheckboxes.forEach(cb => cb.checked = keys.has(cb.value));
+    allCheckbox.checked = Array.from(streetCheckboxes).every(cb => cb.checked);
+    
+    filterDataPoints();
+  }
+  
+  /**
+   * Reads the type, street and date filters. A null set means every value passes.
+   */
+  function getActiveFilters() {
+    const checkedValues = (container, allId) => {
+      const allCheckbox = document.getElementById(allId);
+      if (!allCheckbox || allCheckbox.checked) return null;
+      return new Set(Array.from(container.querySelectorAll(`input:not(#${allId}):checked`)).map(cb => cb.value));
+    };
     
-    // The indication is everything before it
-    return cellText.substring(0, lastNumIndex).trim();
+    return {
+      types: checkedValues(typeSelectorCheckboxes, 'filter-all'),
+      streets: checkedValues(streetSelectorCheckboxes, 'street-filter-all'),
+      dateRange: getDateRange()
+    };
+  }
+  
+  /**
+   * Checks one data point against the filters from getActiveFilters()
+   */
+  function passesFilters(record, filters) {
+    const typeVisible = !filters.types || filters.types.has(normalizeType(record.type));
+    const streetVisible = !filters.streets || filters.streets.has(record.streetKey || '');
+    const dateVisible = !filters.dateRange || isInDateRange(record.date && record.date.getTime(), filters.dateRange);
+    return typeVisible && streetVisible && dateVisible;
   }
   
-  function parseExcelDate(text) {
-    if (!text) return null;
-    const parts = text.split(' ');
-    if (parts.length < 3) return null; 
+  /**
+   * Lists the data points that pass the active type, street and date filters,
+   * starting again from the first page
+   */
+  function filterDataPoints() {
+    dataPage = 0;
+    populateDataPoints(allUploadedData);
+  }
+
+  /**
+   * Renders a row for each data point on the current page of those passing the filters
+   */
+  function populateDataPoints(dataToPopulate) {
+    clearDataPoints(false); // Clear rows but NOT filters
+    
+    const filters = getActiveFilters();
+    const listed = dataToPopulate.filter(record => passesFilters(record, filters));
+    const pageCount = Math.max(1, Math.ceil(listed.length / POINTS_PER_PAGE));
+    dataPage = Math.min(Math.max(dataPage, 0), pageCount - 1);
     
-    const day = parts[0];
-    const month = parts[1];
-    const year = parts[2];
+    const start = dataPage * POINTS_PER_PAGE;
+    listed.slice(start, start + POINTS_PER_PAGE).forEach(record => createDataPointRow(record));
     
-    const months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-    const monthIndex = months.findIndex(m => m.toLowerCase() === month.toLowerCase());
-    if (monthIndex === -1) return null;
+    pageStatus.textContent = t("points.page", {
+      from: formatNumber(start + 1),
+      to: formatNumber(Math.min(start + POINTS_PER_PAGE, listed.length)),
+      count: formatNumber(listed.length)
+    });
+    pagePrevBtn.disabled = dataPage === 0;
+    pageNextBtn.disabled = dataPage === pageCount - 1;
+    dataPointPager.classList.toggle('hidden', pageCount === 1);
+    
+    // Say how many points the date range keeps without a date to check
+    const undatedCount = filters.dateRange ? listed.filter(record => !record.date).length : 0;
+    dateUndatedNote.textContent = t("dates.undatedKept", { count: undatedCount });
+    dateUndatedNote.classList.toggle('hidden', undatedCount === 0);
     
-    return new Date(year, monthIndex, day);
+    updatePointUI();
+    checkDataQuality();
   }
   
+  pagePrevBtn.addEventListener("click", () => {
+    dataPage--;
+    populateDataPoints(allUploadedData);
+  });
+  pageNextBtn.addEventListener("click", () => {
+    dataPage++;
+    populateDataPoints(allUploadedData);
+  });
 
   
-  // --- 2. Dynamic Add/Remove Logic ---
 
+  
+  // --- 1c. Saved Projects ---
+  
+  function loadProjects() {
+    try {
+      const projects = JSON.parse(localStorage.getItem(PROJECT_STORAGE_KEY));
+      return Array.isArray(projects) ? projects : [];
+    } catch (err) {
+      console.warn("Could not read saved projects:", err.message);
+      return [];
+    }
+  }
+  
+  /**
+   * Stores the project list. Returns false if the browser refused (e.g. storage is full).
+   */
+  function saveProjects(projects) {
+    try {
+      localStorage.setItem(PROJECT_STORAGE_KEY, JSON.stringify(projects));
+      localStorage.setItem(CURRENT_PROJECT_KEY, currentProject ? currentProject.id : '');
+      return true;
+    } catch (err) {
+      showError(t("project.saveFailed"));
+      return false;
+    }
+  }
+  
+  function createProjectId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+  
+  /**
+   * Returns a project name not used by any saved project, e.g. "Taman Meranti (2)"
+   */
+  function getUniqueProjectName(name, projects = loadProjects()) {
+    const taken = new Set(projects.map(project => project.name));
+    if (!taken.has(name)) return name;
+    let counter = 2;
+    while (taken.has(`${name} (${counter})`)) counter++;
+    return `${name} (${counter})`;
+  }
+  
+  /**
+   * Captures everything needed to reopen the page as it is now:
+   * the imported records, the rows (with manual edits and removals),
+   * filters, sort order, target and options
+   */
+  function captureProjectState() {
+    const checkedValues = (container, allId) => {
+      const allCheckbox = document.getElementById(allId);
+      if (!allCheckbox || allCheckbox.checked) return null;
+      return Array.from(container.querySelectorAll(`input:not(#${allId}):checked`)).map(cb => cb.value);
+    };
+    
+    return {
+      records: allUploadedData,
+      filters: {
+        types: checkedValues(typeSelectorCheckboxes, 'filter-all'),
+        streets: checkedValues(streetSelectorCheckboxes, 'street-filter-all'),
+        dateRange: { preset: dateRangeSelect.value, from: dateFromInput.value, to: dateToInput.value }
+      },
+      sort: sortSelect.value,
+      target: { mode: targetModeSelect.value, house: targetHouse_el.value, batch: targetBatch_el.value, title: targetTitle_el.value },
+      fitOptions: getFitOptions(),
+      compareTypes: compareTypesToggle.checked,
+      addressOptions: { ...addressOptions }
+    };
+  }
+  
+  /**
+   * Rebuilds the page from a saved project state
+   */
+  function restoreProjectState(state) {
+    restoringProject = true;
+    
+    clearDataPoints(true);
+    resultContainer.classList.add("hidden");
+    batchResultContainer.classList.add("hidden");
+    reverseResultContainer.classList.add("hidden");
+    errorContainer.classList.add("hidden");
+    uploadSummary.classList.add('hidden');
+    
+    addressOptions = { aSuffixIsNext: true, ...(state.addressOptions || {}) };
+    suffixNextToggle.checked = addressOptions.aSuffixIsNext;
+    
+    const records = state.rows ? migrateRowState(state) : (state.records || []);
+    // Dates become strings in JSON
+    allUploadedData = records.map(record => ({
+      manual: false,
+      excluded: false,
+      ...record,
+      sources: record.sources || [],
+      date: record.date ? new Date(record.date) : null
+    }));
+    nextPointId = allUploadedData.reduce((max, record) => Math.max(max, (record.id || 0) + 1), 1);
+    allUploadedData.forEach(assignPointId);
+    
+    if (allUploadedData.some(record => !record.manual)) refreshDataFilters();
+    ensureMinimumPoints();
+    populateDataPoints(allUploadedData);
+    clearHistory();
+    
+    // Filters
+    const filters = state.filters || {};
+    const applyChecked = (container, allId, values) => {
+      const allCheckbox = document.getElementById(allId);
+      if (!allCheckbox || !values) return;
+      const selected = new Set(values);
+      const checkboxes = container.querySelectorAll(`input:not(#${allId})`);
+      checkboxes.forEach(cb => cb.checked = selected.has(cb.value));
+      allCheckbox.checked = Array.from(checkboxes).every(cb => cb.checked);
+    };
+    applyChecked(typeSelectorCheckboxes, 'filter-all', filters.types);
+    applyChecked(streetSelectorCheckboxes, 'street-filter-all', filters.streets);
+    if (filters.dateRange) {
+      restoreSelect(dateRangeSelect, filters.dateRange.preset);
+      dateFromInput.value = filters.dateRange.from || '';
+      dateToInput.value = filters.dateRange.to || '';
+      dateCustomRange.classList.toggle('hidden', dateRangeSelect.value !== 'custom');
+    }
+    filterDataPoints();
+    
+    // The rows are already in the saved order, so only the select is restored
+    restoreSelect(sortSelect, state.sort);
+    
+    const target = state.target || {};
+    restoreSelect(targetModeSelect, target.mode);
+    targetModeSelect.dispatchEvent(new Event('change'));
+    targetHouse_el.value = target.house || '';
+    targetBatch_el.value = target.batch || '';
+    targetTitle_el.value = target.title || '';
+    
+    const fitOptions = state.fitOptions || {};
+    restoreCheckbox(segmentToggle, fitOptions.segmented);
+    restoreSelect(outlierModeSelect, fitOptions.outlierMode);
+    restoreSelect(numberingSchemeSelect, fitOptions.scheme);
+    restoreSelect(predictionMethodSelect, fitOptions.method);
+    restoreCheckbox(compareTypesToggle, state.compareTypes);
+    
+    rowObserver.takeRecords(); // The rows just built are not a change
+    restoringProject = false;
+  }
+  
   /**
-   * Removes all data points from the container
+   * Sets a select to a saved value. When nothing was saved, or a value the form
+   * no longer offers (such as the old "single" outlier mode), the option the
+   * page selects by default is used.
+   */
+  function restoreSelect(select, value) {
+    const options = Array.from(select.options);
+    const fallback = options.find(option => option.defaultSelected) || options[0];
+    select.value = options.some(option => option.value === value) ? value : fallback.value;
+  }
+  
+  function restoreCheckbox(checkbox, value) {
+    checkbox.checked = typeof value === 'boolean' ? value : checkbox.defaultChecked;
+  }
+  
+  /**
+   * Converts a state saved before data points had IDs (version 1), where the
+   * rows were stored separately from the records. Rows removed back then are
+   * kept as excluded data points.
+   */
+  function migrateRowState(state) {
+    const records = state.records || [];
+    const byIndex = new Map(records.map(record => [record.index, record]));
+    const used = new Set();
+    
+    const points = state.rows.map(saved => {
+      const record = saved.record === null ? null : byIndex.get(saved.record);
+      if (record) used.add(record);
+      const house = parseInt(saved.house, 10);
+      const title = parseInt(saved.title, 10);
+      return {
+        ...(record || { houseRaw: '', address: null, streetKey: '', issue: null, sources: [], date: null, manual: true }),
+        house: saved.house,
+        title: saved.title,
+        type: saved.type || '',
+        houseNum: isNaN(house) ? null : house,
+        titleNum: isNaN(title) ? null : title,
+        excluded: !!saved.excluded
+      };
+    });
+    
+    records.filter(record => !used.has(record)).forEach(record => points.push({ ...record, excluded: true }));
+    points.forEach((point, idx) => { point.index = idx; });
+    return points;
+  }
+  
+  /**
+   * Saves the open project now. The project is created on its first save.
+   */
+  function saveCurrentProject() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    if (!currentProject) return;
+    
+    const projects = loadProjects();
+    const project = {
+      ...currentProject,
+      version: PROJECT_FILE_VERSION,
+      updatedAt: new Date().toISOString(),
+      state: captureProjectState()
+    };
+    const idx = projects.findIndex(saved => saved.id === project.id);
+    if (idx === -1) {
+      projects.push(project);
+    } else {
+      projects[idx] = project;
+    }
+    
+    if (saveProjects(projects) && idx === -1) populateProjectSelect();
+  }
+  
+  function scheduleAutosave() {
+    if (restoringProject) return;
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(saveCurrentProject, AUTOSAVE_DELAY_MS);
+  }
+  
+  function populateProjectSelect() {
+    const projects = loadProjects();
+    projectSelect.innerHTML = '';
+    
+    // A new project is listed before its first save too
+    if (currentProject && !projects.some(project => project.id === currentProject.id)) {
+      projects.push(currentProject);
+    }
+    
+    projects.forEach(project => {
+      const option = document.createElement('option');
+      option.value = project.id;
+      option.textContent = project.name;
+      projectSelect.appendChild(option);
+    });
+    
+    if (currentProject) projectSelect.value = currentProject.id;
+    projectNameInput.value = currentProject ? currentProject.name : '';
+  }
+  
+  /**
+   * Makes a project the open one and loads its state (a blank page if it has none)
+   */
+  function openProject(project) {
+    if (autosaveTimer) saveCurrentProject();
+    
+    currentProject = { id: project.id, name: project.name, createdAt: project.createdAt };
+    restoreProjectState(project.state || {});
+    
+    try {
+      localStorage.setItem(CURRENT_PROJECT_KEY, project.id);
+    } catch (err) {
+      console.warn("Could not remember the open project:", err.message);
+    }
+    populateProjectSelect();
+  }
+  
+  function newProject(name = t("project.untitled")) {
+    openProject({ id: createProjectId(), name: getUniqueProjectName(name), createdAt: new Date().toISOString() });
+  }
+  
+  /**
+   * Opens the last project, or starts a new one when nothing was saved
+   */
+  function restoreLastProject() {
+    const projects = loadProjects();
+    const lastId = localStorage.getItem(CURRENT_PROJECT_KEY);
+    const last = projects.find(project => project.id === lastId) || projects[projects.length - 1];
+    
+    if (last) {
+      openProject(last);
+    } else {
+      newProject();
+    }
+  }
+  
+  // Autosave any change to the rows, filters, target or options
+  form.addEventListener('input', scheduleAutosave);
+  form.addEventListener('change', scheduleAutosave);
+  const rowObserver = new MutationObserver(scheduleAutosave);
+  rowObserver.observe(dataPointContainer, { childList: true, attributes: true, attributeFilter: ['class'], subtree: true });
+  window.addEventListener('beforeunload', () => {
+    if (autosaveTimer) saveCurrentProject();
+  });
+  
+  projectSelect.addEventListener('change', () => {
+    const project = loadProjects().find(saved => saved.id === projectSelect.value);
+    if (project) openProject(project);
+  });
+  
+  projectNameInput.addEventListener('change', () => {
+    const name = projectNameInput.value.trim();
+    if (!currentProject || !name || name === currentProject.name) {
+      projectNameInput.value = currentProject ? currentProject.name : '';
+      return;
+    }
+    const others = loadProjects().filter(project => project.id !== currentProject.id);
+    currentProject.name = getUniqueProjectName(name, others);
+    saveCurrentProject();
+    populateProjectSelect();
+  });
+  
+  projectNewBtn.addEventListener('click', () => newProject());
+  
+  projectDuplicateBtn.addEventListener('click', () => {
+    if (!currentProject) return;
+    saveCurrentProject();
+    const source = loadProjects().find(project => project.id === currentProject.id);
+    openProject({
+      id: createProjectId(),
+      name: getUniqueProjectName(t("project.copyName", { name: currentProject.name })),
+      createdAt: new Date().toISOString(),
+      state: source ? source.state : captureProjectState()
+    });
+    saveCurrentProject();
+  });
+  
+  projectDeleteBtn.addEventListener('click', () => {
+    if (!currentProject) return;
+    if (!confirm(t("project.confirmDelete", { name: currentProject.name }))) return;
+    
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    const remaining = loadProjects().filter(project => project.id !== currentProject.id);
+    currentProject = null;
+    saveProjects(remaining);
+    
+    if (remaining.length > 0) {
+      openProject(remaining[remaining.length - 1]);
+    } else {
+      newProject();
+    }
+  });
+  
+  projectExportBtn.addEventListener('click', () => {
+    if (!currentProject) return;
+    saveCurrentProject();
+    const project = {
+      ...currentProject,
+      version: PROJECT_FILE_VERSION,
+      exportedAt: new Date().toISOString(),
+      state: captureProjectState()
+    };
+    const fileName = `${currentProject.name.replace(/[^\w\- ]+/g, '').trim() || 'project'}.json`;
+    downloadFile(JSON.stringify(project, null, 2), fileName, 'application/json');
+  });
+  
+  projectImportBtn.addEventListener('click', () => projectImportInput.click());
+  
+  projectImportInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = null;
+    if (!file) return;
+    
+    let project;
+    try {
+      project = JSON.parse(await readFileAsText(file));
+    } catch (err) {
+      showError(t("project.unreadable", { file: escapeHtml(file.name) }));
+      return;
+    }
+    if (!isProjectData(project)) {
+      showError(t("project.notProject", { file: escapeHtml(file.name) }));
+      return;
+    }
+    if (project.version > PROJECT_FILE_VERSION) {
+      showError(t("project.newerVersion", { file: escapeHtml(file.name) }));
+      return;
+    }
+    
+    // Always import as a new project, so nothing saved here is overwritten
+    openProject({
+      id: createProjectId(),
+      name: getUniqueProjectName(String(project.name || file.name.replace(/\.json$/i, ''))),
+      createdAt: new Date().toISOString(),
+      state: project.state
+    });
+    saveCurrentProject();
+  });
+  
+  /**
+   * Checks that parsed JSON looks like a saved project (file or share link)
+   */
+  function isProjectData(project) {
+    if (!project || typeof project !== 'object' || !project.state || typeof project.state !== 'object') return false;
+    const { records, rows } = project.state;
+    if (!Array.isArray(records) && !Array.isArray(rows)) return false;
+    if (records !== undefined && !(Array.isArray(records) && records.every(isRecordData))) return false;
+    return rows === undefined || (Array.isArray(rows) && rows.every(row => !!row && typeof row === 'object'
+      && isOptional(row.type, 'string') && ['string', 'number'].includes(typeof row.house) && ['string', 'number'].includes(typeof row.title)));
+  }
+  
+  /**
+   * Checks the fields of one saved data point, as they come from a file or link
+   */
+  function isRecordData(record) {
+    const isWholeNumber = value => value === null || Number.isInteger(value);
+    return !!record && typeof record === 'object'
+      && isWholeNumber(record.houseNum) && isWholeNumber(record.titleNum)
+      && (record.id === undefined || Number.isInteger(record.id))
+      && ['string', 'number'].includes(typeof record.house) && ['string', 'number'].includes(typeof record.title)
+      && isOptional(record.type, 'string') && isOptional(record.houseRaw, 'string') && isOptional(record.streetKey, 'string')
+      && isOptional(record.issue, 'string') && isOptional(record.date, 'string')
+      && (record.address === undefined || record.address === null || typeof record.address === 'object')
+      && (record.sources === undefined || Array.isArray(record.sources));
+  }
+  
+  function isOptional(value, type) {
+    return value === undefined || value === null || typeof value === type;
+  }
+  
+  
+  // --- 1d. Share Links ---
+  
+  shareLinkBtn.addEventListener('click', copyShareLink);
+  window.addEventListener('hashchange', openSharedLink);
+  
+  /**
+   * Puts the current data points, exclusions, filters, options and target
+   * into a link (in the URL fragment, so it never reaches a server) and copies it
+   */
+  async function copyShareLink() {
+    saveCurrentProject();
+    const payload = await encodeSharePayload({
+      version: PROJECT_FILE_VERSION,
+      name: currentProject ? currentProject.name : '',
+      state: captureProjectState()
+    });
+    const link = `${location.href.split('#')[0]}${SHARE_HASH_PREFIX}${payload}`;
+    
+    let copied = false;
+    try {
+      await navigator.clipboard.writeText(link);
+      copied = true;
+    } catch (err) {
+      window.prompt(t("share.copyPrompt"), link);
+    }
+    
+    const status = t(copied ? "share.copied" : "share.ready");
+    shareStatus.textContent = link.length > SHARE_LINK_WARN_LENGTH
+      ? t("share.long", { status, length: formatNumber(link.length) })
+      : t("share.done", { status });
+    shareStatus.classList.remove('hidden');
+  }
+  
+  /**
+   * Opens the project in a share link, if the page was opened with one.
+   * It is always opened as a new project, then the calculation is rerun.
+   */
+  async function openSharedLink() {
+    if (!location.hash.startsWith(SHARE_HASH_PREFIX)) return;
+    const payload = location.hash.slice(SHARE_HASH_PREFIX.length);
+    history.replaceState(null, '', location.pathname + location.search); // Reloading should not import it again
+    
+    let project;
+    try {
+      project = await decodeSharePayload(payload);
+    } catch (err) {
+      showError(t("share.unreadable"));
+      return;
+    }
+    if (!isProjectData(project)) {
+      showError(t("share.notProject"));
+      return;
+    }
+    if (project.version > PROJECT_FILE_VERSION) {
+      showError(t("share.newerVersion"));
+      return;
+    }
+    
+    openProject({
+      id: createProjectId(),
+      name: getUniqueProjectName(t("share.projectName", { name: String(project.name || t("share.defaultName")) })),
+      createdAt: new Date().toISOString(),
+      state: project.state
+    });
+    saveCurrentProject();
+    
+    const target = project.state.target || {};
+    const targetValue = target.mode === 'batch' ? target.batch : target.mode === 'reverse' ? target.title : target.house;
+    if (targetValue) {
+      form.requestSubmit();
+    }
+  }
+  
+  /**
+   * Encodes a project as URL-safe text, compressed when the browser supports it
+   */
+  async function encodeSharePayload(project) {
+    const bytes = new TextEncoder().encode(JSON.stringify(project));
+    if (typeof CompressionStream !== 'function') {
+      return SHARE_FORMAT_PLAIN + bytesToBase64Url(bytes);
+    }
+    return SHARE_FORMAT_DEFLATE + bytesToBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')));
+  }
+  
+  async function decodeSharePayload(payload) {
+    const format = payload.charAt(0);
+    let bytes = base64UrlToBytes(payload.slice(1));
+    if (format === SHARE_FORMAT_DEFLATE) {
+      bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (format !== SHARE_FORMAT_PLAIN) {
+      throw new Error(`Unknown share link format "${format}".`);
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+  
+  async function pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+  
+  function bytesToBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+  
+  function base64UrlToBytes(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  }
+  
+  
+  // --- 1e. Interface Language ---
+  
+  languageButtons.forEach(button => {
+    button.addEventListener('click', () => switchLanguage(button.dataset.language));
+  });
+  
+  /**
+   * Returns the saved language, or Bahasa Malaysia for a browser set to Malay
+   */
+  function getInitialLanguage() {
+    let saved = null;
+    try {
+      saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    } catch (err) {
+      console.warn("Could not read the saved language:", err.message);
+    }
+    if (saved && LANGUAGES[saved]) return saved;
+    return /^ms\b/i.test(navigator.language || '') ? 'ms' : DEFAULT_LANGUAGE;
+  }
+  
+  /**
+   * Fills the static page text from the catalogue. Elements name their message
+   * with data-i18n (text), data-i18n-html, data-i18n-placeholder,
+   * data-i18n-title or data-i18n-aria-label.
+   */
+  function translatePage() {
+    document.documentElement.lang = getLanguage();
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = t(el.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-html]').forEach(el => {
+      el.innerHTML = t(el.dataset.i18nHtml);
+    });
+    ['placeholder', 'title', 'aria-label'].forEach(attribute => {
+      document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+        el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
+      });
+    });
+    languageButtons.forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.language === getLanguage()));
+    });
+  }
+  
+  /**
+   * Switches the interface language, remembers it for the next visit and
+   * redraws everything that was rendered from the catalogue
+   */
+  function switchLanguage(lang) {
+    if (lang === getLanguage() || !LANGUAGES[lang]) return;
+    setLanguage(lang);
+    try {
+      localStorage.setItem(LANGUAGE_STORAGE_KEY, lang);
+    } catch (err) {
+      console.warn("Could not remember the language:", err.message);
+    }
+    
+    translatePage();
+    populateTemplateSelect();
+    populateDataPoints(allUploadedData); // Row labels, address issues and data-quality warnings
+    if (!uploadSummary.classList.contains('hidden')) {
+      showUploadSummary(Number(uploadSummary.dataset.duplicates) || 0);
+    }
+    shareStatus.classList.add('hidden');
+    
+    // Results are rebuilt by running the calculation again
+    const shown = [resultContainer, batchResultContainer, reverseResultContainer]
+      .some(container => !container.classList.contains('hidden'));
+    if (shown) form.requestSubmit();
+  }
+  
+  
+  // --- 2. Data Model, Rows & Undo/Redo ---
+
+  /**
+   * Removes all data point rows from the container (the model is not touched)
    * @param {boolean} clearAll - If true, also clear filters/sorter
    */
   function clearDataPoints(clearAll = true) {
@@ -396,58 +1689,147 @@ function initializeApp() {
     if (clearAll) {
       typeSelectorContainer.classList.add('hidden');
       typeSelectorCheckboxes.innerHTML = '';
+      streetSelectorContainer.classList.add('hidden');
+      streetSelectorCheckboxes.innerHTML = '';
+      dateFilterContainer.classList.add('hidden');
+      resetDateRange();
       sortContainer.classList.add('hidden');
       sortSelect.value = 'default';
     }
   }
-
+  
   /**
-   * Creates a new blank data point row
+   * Gives a record a stable ID (kept through sorting, filtering, undo and saving)
    */
-  function createBlankDataPoint() {
-    createDataPointWithValue('', '', '');
+  function assignPointId(record) {
+    if (record.id === undefined) record.id = nextPointId++;
+    return record;
+  }
+  
+  function findPoint(id) {
+    return allUploadedData.find(record => record.id === id) || null;
   }
   
   /**
-   * Creates a new data point row and populates it with values
+   * Creates an empty, hand-entered data point
    */
-  function createDataPointWithValue(house, title, indication = '') {
-    if (dataPointContainer.children.length >= MAX_POINTS) return;
-    
+  function createManualPoint() {
+    const index = allUploadedData.reduce((max, record) => Math.max(max, record.index + 1), 0);
+    return assignPointId({
+      index,
+      houseRaw: '',
+      house: '',
+      title: '',
+      type: '',
+      date: null,
+      houseNum: null,
+      titleNum: null,
+      address: null,
+      streetKey: '',
+      issue: null,
+      sources: [],
+      excluded: false,
+      manual: true
+    });
+  }
+  
+  function isBlankPoint(record) {
+    return record.manual && record.house === '' && record.title === '';
+  }
+  
+  /**
+   * Pads the model with blank rows so there is always something to type into
+   */
+  function ensureMinimumPoints() {
+    while (allUploadedData.length < MIN_POINTS) {
+      allUploadedData.push(createManualPoint());
+    }
+  }
+  
+  /**
+   * Creates the row for one data point
+   */
+  function createDataPointRow(record) {
     const newGroup = document.createElement('div');
     newGroup.className = 'input-group';
-    newGroup.dataset.titleType = normalizeType(indication);
+    newGroup.dataset.id = record.id;
     
     newGroup.innerHTML = `
       <div>
-        <label>House No.</label>
-        <input type="number" class="house-input" required>
+        <label></label>
+        <input type="number" class="house-input">
       </div>
       <div>
-        <label>Title No.</label>
-        <input type="number" class="title-input" required>
+        <label></label>
+        <input type="number" class="title-input">
       </div>
       <div class="title-type-wrapper">
-        <label>Title Type</label>
+        <label></label>
         <input type="text" class="title-type-input" readonly>
       </div>
-      <button type="button" class="remove-btn" title="Remove data point">&times;</button>
+      <label class="include-toggle" title="${t("row.useTitle")}">
+        <input type="checkbox" class="include-input">
+        <span>${t("row.use")}</span>
+      </label>
     `;
     
-    newGroup.querySelector('.house-input').value = house;
-    newGroup.querySelector('.title-input').value = title;
+    newGroup.querySelector('.house-input').value = record.house;
+    newGroup.querySelector('.title-input').value = record.title;
     
     const titleTypeInput = newGroup.querySelector('.title-type-input');
     const titleTypeWrapper = newGroup.querySelector('.title-type-wrapper');
     
-    titleTypeInput.value = indication;
+    titleTypeInput.value = record.type;
     
-    if (!indication) {
+    if (!record.type) {
       titleTypeWrapper.classList.add("hidden");
     }
     
+    if (record.issue) {
+      newGroup.classList.add('flagged');
+      const issueLabel = document.createElement('div');
+      issueLabel.className = 'row-issue';
+      issueLabel.textContent = `⚠ ${getAddressIssue(record)}`;
+      newGroup.appendChild(issueLabel);
+    }
+    
+    if (record.date) {
+      const dateLabel = document.createElement('div');
+      dateLabel.className = 'date-label';
+      dateLabel.textContent = formatDate(record.date);
+      newGroup.appendChild(dateLabel);
+    }
+    
+    if (record.sources.length > 0) {
+      const sourceLabel = document.createElement('div');
+      sourceLabel.className = 'source-label';
+      sourceLabel.textContent = formatSource(record.sources);
+      sourceLabel.title = record.sources.map(source => `${source.file} › ${source.sheet}`).join('\n');
+      newGroup.appendChild(sourceLabel);
+    }
+    
+    updateRowState(newGroup, record);
     dataPointContainer.appendChild(newGroup);
-    updatePointUI();
+    return newGroup;
+  }
+  
+  /**
+   * Returns a record's address issue in the interface language. The issue is
+   * stored in the language it was imported in, so it is read again here.
+   */
+  function getAddressIssue(record) {
+    return (record.houseRaw && parseAddress(record.houseRaw, addressOptions).issue) || record.issue;
+  }
+  
+  /**
+   * Applies a record's include/exclude state to its row.
+   * Excluded rows and unreadable addresses must not block the form.
+   */
+  function updateRowState(row, record) {
+    row.classList.toggle('excluded', record.excluded);
+    row.querySelector('.include-input').checked = !record.excluded;
+    row.querySelector('.house-input').required = !record.excluded && !(record.issue && record.house === '');
+    row.querySelector('.title-input').required = !record.excluded;
   }
 
   /**
@@ -455,44 +1837,285 @@ function initializeApp() {
    */
   function updatePointUI() {
     const dataGroups = dataPointContainer.querySelectorAll('.input-group');
-    const count = dataGroups.length;
 
-    dataGroups.forEach((group, index) => {
+    dataGroups.forEach((group, position) => {
+      const index = dataPage * POINTS_PER_PAGE + position;
       const houseLabel = group.querySelector('.house-input').previousElementSibling;
-      if (houseLabel) houseLabel.textContent = `House No. ${index + 1}`;
+      if (houseLabel) houseLabel.textContent = t("row.house", { number: index + 1 });
       
       const titleLabel = group.querySelector('.title-input').previousElementSibling;
-      if (titleLabel) titleLabel.textContent = `Title No. ${index + 1}`;
+      if (titleLabel) titleLabel.textContent = t("row.title", { number: index + 1 });
       
       const typeLabel = group.querySelector('.title-type-input').previousElementSibling;
-      if (typeLabel) typeLabel.textContent = `Title Type ${index + 1}`;
+      if (typeLabel) typeLabel.textContent = t("row.type", { number: index + 1 });
+    });
+    
+    updateHistoryButtons();
+  }
+  
+  addPointBtn.addEventListener("click", () => {
+    recordHistory();
+    const record = createManualPoint();
+    allUploadedData.push(record);
+    
+    // Go to the last page, where the new point is listed
+    dataPage = Infinity;
+    populateDataPoints(allUploadedData);
+    const row = dataPointContainer.querySelector(`.input-group[data-id="${record.id}"]`) || createDataPointRow(record);
+    updatePointUI();
+    row.querySelector('.house-input').focus();
+  });
+  
+  // Edits go straight into the model. One undo step covers a whole edit of a field.
+  dataPointContainer.addEventListener("input", (e) => {
+    const row = e.target.closest('.input-group');
+    const record = row && findPoint(Number(row.dataset.id));
+    if (!record) return;
+    
+    const value = e.target.value;
+    const number = value === '' ? null : parseInt(value, 10);
+    if (e.target.classList.contains('house-input')) {
+      beginEdit();
+      record.house = value;
+      record.houseNum = isNaN(number) ? null : number;
+      record.houseEdited = true; // Re-reading the address must not undo this
+    } else if (e.target.classList.contains('title-input')) {
+      beginEdit();
+      record.title = value;
+      record.titleNum = isNaN(number) ? null : number;
+    }
+  });
+  
+  dataPointContainer.addEventListener("change", (e) => {
+    if (e.target.classList.contains('include-input')) {
+      setPointExcluded(Number(e.target.closest('.input-group').dataset.id), !e.target.checked);
+    } else {
+      endEdit();
+      checkDataQuality();
+    }
+  });
+  
+  // One-click resolution of a data-quality issue: keep this row, or exclude it
+  dataPointContainer.addEventListener("click", (e) => {
+    const button = e.target.closest('.warning-action');
+    if (!button) return;
+    
+    const id = Number(button.closest('.input-group').dataset.id);
+    const issue = (dataIssues.get(id) || [])[Number(button.dataset.issue)];
+    if (!issue) return;
+    
+    if (button.dataset.action === 'keep') {
+      setPointsExcluded(issue.records.filter(record => record.id !== id).map(record => record.id), true);
+    } else {
+      setPointsExcluded([id], true);
+    }
+  });
+  
+  /**
+   * Excludes a data point from (or re-includes it in) the calculation
+   */
+  function setPointExcluded(id, exclude) {
+    setPointsExcluded([id], exclude);
+  }
+  
+  /**
+   * Excludes (or re-includes) several data points as one undo step
+   */
+  function setPointsExcluded(ids, exclude) {
+    const records = ids.map(findPoint).filter(record => record && record.excluded !== exclude);
+    if (records.length === 0) return;
+    
+    recordHistory();
+    records.forEach(record => {
+      record.excluded = exclude;
+      const row = dataPointContainer.querySelector(`.input-group[data-id="${record.id}"]`);
+      if (row) updateRowState(row, record);
     });
+    updatePointUI();
+    checkDataQuality();
+  }
+  
+  /**
+   * Runs the data-quality pass over the data points in use and flags the
+   * affected rows. Excluded points are left out, so resolving an issue clears it.
+   */
+  function checkDataQuality() {
+    const issues = findDataIssues(allUploadedData.filter(record => !record.excluded));
+    
+    dataIssues = new Map();
+    issues.forEach(issue => {
+      issue.records.forEach(record => {
+        if (!dataIssues.has(record.id)) dataIssues.set(record.id, []);
+        dataIssues.get(record.id).push(issue);
+      });
+    });
+    
+    dataPointContainer.querySelectorAll('.input-group').forEach(row => {
+      renderRowWarnings(row, dataIssues.get(Number(row.dataset.id)) || []);
+    });
+    
+    if (issues.length === 0) {
+      dataIssueSummary.classList.add('hidden');
+      return;
+    }
+    dataIssueSummary.textContent = `⚠ ${t("quality.summary", { count: issues.length })}`;
+    dataIssueSummary.classList.remove('hidden');
+  }
+  
+  /**
+   * Shows a row's data-quality issues, each with its resolution buttons
+   */
+  function renderRowWarnings(row, issues) {
+    row.querySelectorAll('.row-warning').forEach(warning => warning.remove());
+    row.classList.toggle('data-warning', issues.length > 0);
+    
+    issues.forEach((issue, idx) => {
+      const warning = document.createElement('div');
+      warning.className = 'row-warning';
+      
+      const text = document.createElement('span');
+      text.textContent = `⚠ ${issue.message}`;
+      warning.appendChild(text);
+      
+      const actions = issue.kind === 'order'
+        ? [['exclude', t("quality.exclude")]]
+        : [['keep', t("quality.keep")], ['exclude', t("quality.exclude")]];
+      actions.forEach(([action, label]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'warning-action';
+        button.dataset.action = action;
+        button.dataset.issue = idx;
+        button.textContent = label;
+        warning.appendChild(button);
+      });
+      
+      row.appendChild(warning);
+    });
+  }
+  
+  /**
+   * Copies the model for the undo history. Records are only ever changed
+   * field by field, so copying each record (and its sources) is enough.
+   */
+  function cloneModel(records = allUploadedData) {
+    return records.map(record => ({ ...record, sources: [...record.sources] }));
+  }
+  
+  /**
+   * Saves the model before a change, so the change can be undone
+   */
+  function recordHistory() {
+    endEdit();
+    undoStack.push(cloneModel());
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack = [];
+    updateHistoryButtons();
+  }
+  
+  function beginEdit() {
+    if (pendingEdit) return;
+    pendingEdit = cloneModel();
+  }
+  
+  function endEdit() {
+    if (!pendingEdit) return;
+    undoStack.push(pendingEdit);
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack = [];
+    pendingEdit = null;
+    updateHistoryButtons();
+  }
+  
+  function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+    pendingEdit = null;
+    updateHistoryButtons();
+  }
+  
+  function undo() {
+    endEdit();
+    if (undoStack.length === 0) return;
+    redoStack.push(cloneModel());
+    applyModel(undoStack.pop());
+  }
+  
+  function redo() {
+    if (redoStack.length === 0) return;
+    undoStack.push(cloneModel());
+    applyModel(redoStack.pop());
+  }
+  
+  /**
+   * Replaces the model with a snapshot from the history and re-renders.
+   * Filters are only rebuilt when the snapshot holds different records,
+   * so undoing an edit keeps the current filter selection.
+   */
+  function applyModel(records) {
+    const ids = (list) => list.map(record => record.id).sort((a, b) => a - b).join(',');
+    const sameRecords = ids(records) === ids(allUploadedData);
     
-    addPointBtn.disabled = (count >= MAX_POINTS);
-
-    const removeButtons = dataPointContainer.querySelectorAll('.remove-btn');
-    removeButtons.forEach(btn => {
-      btn.disabled = (count <= MIN_POINTS);
-    });
+    allUploadedData = records;
+    if (!sameRecords) {
+      clearDataPoints(true);
+      refreshDataFilters();
+    }
+    populateDataPoints(allUploadedData);
+    updateHistoryButtons();
   }
   
-  addPointBtn.addEventListener("click", createBlankDataPoint);
+  function updateHistoryButtons() {
+    undoBtn.disabled = undoStack.length === 0 && !pendingEdit;
+    redoBtn.disabled = redoStack.length === 0;
+  }
   
-  dataPointContainer.addEventListener("click", (e) => {
-    if (e.target && e.target.classList.contains('remove-btn')) {
-      const rowToRemove = e.target.closest('.input-group');
-      const allRows = Array.from(dataPointContainer.querySelectorAll('.input-group'));
-      const rowIndex = allRows.indexOf(rowToRemove);
-      
-      if(rowIndex > -1 && rowIndex < allUploadedData.length) {
-         allUploadedData.splice(rowIndex, 1);
-      }
-      rowToRemove.remove();
-      
-      updatePointUI();
+  undoBtn.addEventListener('click', undo);
+  redoBtn.addEventListener('click', redo);
+  
+  // Ctrl+Z / Ctrl+Y (Cmd on a Mac). Text fields keep their own undo.
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.closest && e.target.closest('input, textarea, select')) return;
+    
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+      e.preventDefault();
+      redo();
     }
   });
   
+  suffixNextToggle.addEventListener('change', () => {
+    addressOptions.aSuffixIsNext = suffixNextToggle.checked;
+    reparseAddresses();
+  });
+  
+  /**
+   * Re-reads every imported address with the current address options.
+   * House numbers typed in by hand are kept. This is one undo step.
+   */
+  function reparseAddresses() {
+    if (allUploadedData.some(record => record.houseRaw)) recordHistory();
+    allUploadedData.forEach(record => {
+      if (!record.houseRaw) return;
+      const address = parseAddress(record.houseRaw, addressOptions);
+      record.address = address;
+      record.streetKey = getStreetKey(address);
+      if (record.houseEdited) return;
+      record.issue = address.issue;
+      record.houseNum = address.houseNumber;
+      record.house = address.houseNumber === null ? '' : address.houseNumber.toString();
+    });
+    if (allUploadedData.length > 0) {
+      buildStreetMap();
+      populateStreetSelector();
+      populateDataPoints(allUploadedData);
+    }
+  }
+  
   sortSelect.addEventListener('change', (e) => {
     sortData(e.target.value);
   });
@@ -501,12 +2124,14 @@ function initializeApp() {
    * Sorts the global data and re-renders the list
    */
   function sortData(sortBy) {
+    // Points without a number go last, in their original order
+    const byNumber = (x, y) => (x === null) - (y === null) || (x === null ? 0 : x - y);
     allUploadedData.sort((a, b) => {
       switch(sortBy) {
         case 'house':
-          return a.houseNum - b.houseNum;
+          return byNumber(a.houseNum, b.houseNum) || a.index - b.index;
         case 'title':
-          return a.titleNum - b.titleNum;
+          return byNumber(a.titleNum, b.titleNum) || a.index - b.index;
         case 'date_latest':
           return (b.date || 0) - (a.date || 0);
         case 'date_oldest':
@@ -527,25 +2152,137 @@ function initializeApp() {
     e.preventDefault(); 
     
     resultContainer.classList.add("hidden");
+    batchResultContainer.classList.add("hidden");
+    reverseResultContainer.classList.add("hidden");
     errorContainer.classList.add("hidden");
     resultContainer.classList.remove("success", "warning", "info");
+    lastReport = null;
+    
+    if (targetModeSelect.value === 'batch') {
+      runBatchPrediction(getVisibleDataPoints(), getActiveFilterDisplay());
+      return;
+    }
+    if (targetModeSelect.value === 'reverse') {
+      runReverseLookup(getVisibleDataPoints(), getActiveFilterDisplay());
+      return;
+    }
 
-    // A. Get Target and Parity
-    const x_target = parseInt(targetHouse_el.value);
-    if (isNaN(x_target)) {
-        showError("Please enter a Target House Number.");
+    // A. Get Target (a house number or a full address)
+    const target = resolveTarget(targetHouse_el.value);
+    const x_target = target.house;
+    if (x_target === null) {
+        showError(t("target.noHouse"));
         return;
     }
-    const targetParity = x_target % 2; 
-    const parityType = targetParity === 0 ? "even" : "odd";
     
-    // B. Get and AUTO-FILTER Data Points
-    const filtered_x = []; 
-    const filtered_y = []; 
+    const dataPoints = getVisibleDataPoints();
+    const activeFilterDisplay = getActiveFilterDisplay();
+    
+    // B. Fit the pattern for the target's numbering scheme and predict
+    const prediction = predictTitle(dataPoints, x_target, getFitOptions());
+    if (prediction.error) {
+      showError(prediction.error);
+      return;
+    }
+    
+    let analysis_message = prediction.message;
+    if (target.streetNote) {
+      analysis_message += `<br>${target.streetNote}`;
+    }
+    
+    // C. Display Result
+    showResult(
+      x_target, 
+      prediction.title, 
+      prediction.formula, 
+      prediction.transform_name, 
+      prediction.confidence.level, 
+      prediction.confidence.label,
+      analysis_message,
+      activeFilterDisplay,
+      prediction.interval
+    );
+    
+    const excludedPoints = getVisibleDataPoints(true);
+    drawFitChart(prediction.fit, dataPoints, excludedPoints, x_target, prediction.title);
+    showTypeComparison(x_target);
+    lastReport = buildReport(prediction, dataPoints, excludedPoints, analysis_message);
+  });
+  
+  /**
+   * Reads the fit options (phase splitting, outlier handling, numbering scheme,
+   * prediction method) from the form
+   */
+  function getFitOptions() {
+    return {
+      segmented: segmentToggle.checked,
+      outlierMode: outlierModeSelect.value,
+      scheme: numberingSchemeSelect.value,
+      method: predictionMethodSelect.value
+    };
+  }
+  
+  targetHouse_el.addEventListener('change', () => {
+    resolveTarget(targetHouse_el.value);
+  });
+  
+  /**
+   * Reads the target as a plain house number or an address. When the address
+   * names a street found in the data, the street filter is set to that street.
+   * Returns { house, streetNote } where house is null if no number was found.
+   */
+  function resolveTarget(value) {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+      return { house: parseInt(text, 10), streetNote: '' };
+    }
+    if (!text) {
+      return { house: null, streetNote: '' };
+    }
+    
+    const address = parseAddress(text, addressOptions);
+    const street = normalizePlaceName(address.street);
+    const taman = normalizePlaceName(address.taman);
+    let streetNote = '';
+    
+    if ((street || taman) && streetMap.size >= 2) {
+      const matches = Array.from(streetMap.entries())
+        .filter(([, entry]) => street
+          ? entry.street === street && (!taman || !entry.taman || entry.taman === taman)
+          : entry.taman === taman)
+        .map(([key]) => key);
+      
+      if (matches.length > 0) {
+        selectStreets(matches);
+        const labels = matches.map(key => streetMap.get(key).label);
+        streetNote = t("target.streetMatched", { streets: escapeHtml(labels.join(', ')) });
+      } else {
+        streetNote = t("target.streetNotFound", { street: escapeHtml(address.street || address.taman) });
+      }
+    }
     
+    return { house: address.houseNumber, streetNote };
+  }
+  
+  /**
+   * Collects { id, house, title, type } of every data point that passes the filters,
+   * from the model (including those on other pages of the list)
+   * @param {boolean} [excluded] - Collect the points excluded from the fit instead
+   */
+  function getVisibleDataPoints(excluded = false) {
+    const filters = getActiveFilters();
+    return allUploadedData
+      .filter(record => record.excluded === excluded && record.houseNum !== null && record.titleNum !== null && passesFilters(record, filters))
+      .map(record => ({ id: record.id, house: record.houseNum, title: record.titleNum, type: record.type }));
+  }
+  
+  /**
+   * Builds the title type label shown with the result
+   */
+  function getActiveFilterDisplay() {
     const activeFilterLabels = [];
     const allCheckbox = document.getElementById('filter-all');
-    let activeFilterDisplay = "N/A (Manual Mode)";
+    let activeFilterDisplay = t("filter.manualMode");
     
     if (allCheckbox && !allCheckbox.checked) {
       const activeCheckboxes = typeSelectorCheckboxes.querySelectorAll('input:not(#filter-all):checked');
@@ -557,222 +2294,751 @@ function initializeApp() {
       }
     }
     
-    const dataGroups = dataPointContainer.querySelectorAll('.input-group');
+    const allStreetsCheckbox = document.getElementById('street-filter-all');
+    if (allStreetsCheckbox && !allStreetsCheckbox.checked) {
+      const streetLabels = Array.from(streetSelectorCheckboxes.querySelectorAll('input:not(#street-filter-all):checked'))
+        .map(cb => streetMap.get(cb.value).label);
+      if (streetLabels.length > 0) {
+        activeFilterDisplay += ` — ${streetLabels.join(', ')}`;
+      }
+    }
     
-    dataGroups.forEach(group => {
-      const isVisible = !group.classList.contains('hidden');
-      
-      if (isVisible) {
-        const x_input = group.querySelector('.house-input').value;
-        const y_input = group.querySelector('.title-input').value;
-        
-        if (x_input && y_input) {
-          const x_val = parseInt(x_input);
-          if (x_val % 2 === targetParity) {
-            filtered_x.push(x_val);
-            filtered_y.push(parseInt(y_input));
-          }
+    const dateRange = getDateRange();
+    if (dateRange) {
+      activeFilterDisplay += ` — ${formatDateRange(dateRange)}`;
+    }
+    
+    return activeFilterDisplay;
+  }
+  
+  function formatDateRange(range) {
+    const from = range.from ? formatDate(range.from) : t("dates.anyDate");
+    const to = range.to ? formatDate(range.to) : t("dates.today");
+    return t("dates.range", { from, to });
+  }
+  
+  
+  // --- 3b. Batch Prediction ---
+  
+  targetModeSelect.addEventListener('change', () => {
+    const mode = targetModeSelect.value;
+    singleTargetGroup.classList.toggle('hidden', mode !== 'single');
+    batchTargetGroup.classList.toggle('hidden', mode !== 'batch');
+    reverseTargetGroup.classList.toggle('hidden', mode !== 'reverse');
+    targetHouse_el.required = mode === 'single';
+    targetBatch_el.required = mode === 'batch';
+    targetTitle_el.required = mode === 'reverse';
+  });
+  
+  batchExportCsvBtn.addEventListener('click', () => exportBatchResults('csv'));
+  batchExportXlsxBtn.addEventListener('click', () => exportBatchResults('xlsx'));
+  
+  /**
+   * Parses a list of house numbers such as "2, 4, 10-40"
+   * Returns a sorted array of unique numbers, or null if any part is invalid.
+   */
+  function parseHouseList(text) {
+    const houses = new Set();
+    const parts = text.split(/[,;\s]+/).filter(part => part !== '');
+    
+    for (const part of parts) {
+      const rangeMatch = part.match(/^(\d+)-(\d+)$/);
+      if (rangeMatch) {
+        let start = parseInt(rangeMatch[1], 10);
+        let end = parseInt(rangeMatch[2], 10);
+        if (start > end) [start, end] = [end, start];
+        for (let x = start; x <= end && houses.size <= MAX_BATCH_TARGETS; x++) {
+          houses.add(x);
         }
+      } else if (/^\d+$/.test(part)) {
+        houses.add(parseInt(part, 10));
+      } else {
+        return null;
       }
-    });
-
-    // C. Validation on Filtered Data
-    if (filtered_x.length < MIN_POINTS) {
-      showError(`Not enough matching data. Please select a filter and ensure at least ${MIN_POINTS} <b>${parityType}</b> house numbers are visible.`);
+    }
+    
+    return Array.from(houses).sort((a, b) => a - b);
+  }
+  
+  /**
+   * Predicts every house in the batch list and renders the results table.
+   * The pattern is fitted once per parity and reused for every target.
+   */
+  function runBatchPrediction(dataPoints, activeFilterDisplay) {
+    const targets = parseHouseList(targetBatch_el.value);
+    if (!targets || targets.length === 0) {
+      showError(t("batch.invalidList"));
       return;
     }
-
-    // D. Transform 'x' values
-    let transform_fn, transform_name;
-    if (targetParity === 0) { // Even
-      transform_fn = (x) => x / 2;
-      transform_name = "(HouseNo / 2)";
-    } else { // Odd
-      transform_fn = (x) => (x + 1) / 2;
-      transform_name = "(HouseNo + 1) / 2";
+    if (targets.length > MAX_BATCH_TARGETS) {
+      showError(t("batch.tooMany", { count: MAX_BATCH_TARGETS }));
+      return;
     }
     
-    const x_prime_values = filtered_x.map(transform_fn);
+    const fits = new Map(); // parity -> fit
+    const useNeighbours = predictionMethodSelect.value === 'neighbours';
+    batchResults = targets.map(x_target => {
+      const parity = x_target % 2;
+      if (!fits.has(parity)) {
+        fits.set(parity, fitPattern(parity, dataPoints, getFitOptions()));
+      }
+      const fit = fits.get(parity);
+      
+      if (fit.error) {
+        return { house: x_target, title: null, transform: '', formula: '', confidence: t("batch.noResult"), level: 'warning' };
+      }
+      const row = {
+        house: x_target,
+        transform: `n = ${fit.transform_name} (${fit.scheme_label})`,
+        confidence: formatConfidence(fit.validation),
+        level: fit.analysis_level
+      };
+      
+      const neighbours = useNeighbours ? interpolateNeighbours(fit, x_target) : null;
+      if (neighbours && !neighbours.error) {
+        return { ...row, title: neighbours.title, formula: t("predict.neighbourFormula", { title: neighbours.title, how: formatNeighbours(neighbours) }) };
+      }
+      const { regression, segment } = getRegressionForHouse(fit, x_target);
+      const phase_label = segment ? t("batch.phase", { phase: segment.phase }) : '';
+      return { ...row, title: predictFromFit(fit, x_target), formula: phase_label + formatFormula(regression.m, regression.c) };
+    });
     
-    // E. Main Regression (Attempt 1)
-    let main_regression = calculateRegression(x_prime_values, filtered_y);
-    if (!main_regression) {
-        showError("Cannot calculate a pattern: all entered House Numbers are identical.");
-        return;
+    if (batchResults.every(row => row.title === null)) {
+      showError(Array.from(fits.values()).find(fit => fit.error).error);
+      return;
     }
     
-    let r2_percent_initial = main_regression.r2 * 100;
+    showBatchResults(batchResults, activeFilterDisplay);
+  }
+  
+  /**
+   * Exports the last batch results table through SheetJS.
+   * CSV falls back to a plain-text export when SheetJS is unavailable.
+   */
+  function exportBatchResults(bookType) {
+    if (batchResults.length === 0) return;
+    
+    const rows = [[t("batch.houseNo"), t("batch.predictedTitle"), t("batch.transform"), t("batch.formula"), t("batch.confidence")]];
+    batchResults.forEach(row => {
+      rows.push([row.house, row.title === null ? '' : row.title, row.transform, row.formula, row.confidence]);
+    });
     
-    let final_regression = main_regression;
-    let final_r2_percent = r2_percent_initial;
-    let analysis_level = 'success';
-    let analysis_message = `The data points form a strong linear pattern. The result is likely correct.`;
-
-    // F. Outlier Auto-Correction Logic
-    if (r2_percent_initial < CONFIDENCE_THRESHOLD && filtered_x.length >= 3) {
-      const outlier_info = findOutlierByResidual(
-        x_prime_values, 
-        filtered_y, 
-        filtered_x, 
-        main_regression.m, 
-        main_regression.c
-      );
-      
-      const corrected_x_prime = x_prime_values.filter((_, idx) => idx !== outlier_info.outlier_index);
-      const corrected_y = filtered_y.filter((_, idx) => idx !== outlier_info.outlier_index);
-      
-      let corrected_regression = calculateRegression(corrected_x_prime, corrected_y);
-      
-      if (corrected_regression && (corrected_regression.r2 * 100) >= CONFIDENCE_THRESHOLD) {
-        final_regression = corrected_regression;
-        final_r2_percent = corrected_regression.r2 * 100;
-        analysis_level = 'info'; 
-        analysis_message = `<b>Note:</b> We automatically ignored <b>House No. ${outlier_info.outlier_house}</b> as it was an outlier. This improved the confidence from <b>${r2_percent_initial.toFixed(1)}%</b> to <b>${final_r2_percent.toFixed(1)}%</b>.`;
-      
+    if (!window.XLSX) {
+      if (bookType === 'csv') {
+        downloadFile(rowsToCsv(rows), 'title-predictions.csv', 'text/csv');
       } else {
-        analysis_level = 'warning';
-        analysis_message = `The data points are inconsistent and do not form a clear pattern. The result is likely INCORRECT. Please double-check your data entries.`;
+        showError(t("batch.xlsxUnavailable"));
       }
-    } else if (r2_percent_initial < CONFIDENCE_THRESHOLD) {
-      analysis_level = 'warning';
-      analysis_message = `The data points form a line, but more data is needed to confirm the pattern.`;
+      return;
     }
+    
+    const worksheet = XLSX.utils.aoa_to_sheet(rows);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, t("batch.sheetName"));
+    XLSX.writeFile(workbook, `title-predictions.${bookType}`, { bookType });
+  }
+
 
-    // G. Calculate Final Result
-    const n_target = transform_fn(x_target);
-    const y_target = (final_regression.m * n_target) + final_regression.c;
-    const finalResult = Math.round(y_target);
+  // --- 3c. Fit Chart ---
+  
+  /**
+   * Draws the data the pattern was fitted on (n vs title) with the fitted line(s),
+   * the outliers, the excluded points and the predicted target.
+   * Clicking a data point excludes or re-includes it and recalculates.
+   */
+  function drawFitChart(fit, dataPoints, excludedPoints, x_target, finalResult) {
+    const isOutlier = (point) => fit.outliers.some(o => o.house === point.house && o.title === point.title);
+    const points = [
+      ...dataPoints.filter(point => fit.filter_fn(point.house))
+        .map(point => ({ ...point, status: isOutlier(point) ? 'outlier' : 'used' })),
+      ...excludedPoints.filter(point => fit.filter_fn(point.house))
+        .map(point => ({ ...point, status: 'excluded' }))
+    ].map(point => ({ ...point, n: fit.transform_fn(point.house) }));
     
-    // H. Display Result
-    showResult(
-      x_target, 
-      finalResult, 
-      final_regression.m, 
-      final_regression.c, 
-      transform_name, 
-      analysis_level, 
-      final_r2_percent,
-      analysis_message,
-      activeFilterDisplay
-    );
-  });
+    // A phase's line covers its own houses, stretched to the target when it predicts it
+    const n_target = fit.transform_fn(x_target);
+    const { segment: target_segment } = getRegressionForHouse(fit, x_target);
+    const lines = (fit.segments || [{ regression: fit.regression, n_min: -Infinity, n_max: Infinity }])
+      .map(segment => ({
+        regression: segment.regression,
+        n_min: segment === target_segment ? Math.min(segment.n_min, n_target) : segment.n_min,
+        n_max: segment === target_segment ? Math.max(segment.n_max, n_target) : segment.n_max
+      }));
+    
+    // Axis ranges, with a margin so no marker sits on the frame
+    const n_values = [...points.map(point => point.n), n_target];
+    const title_values = [...points.map(point => point.title), finalResult];
+    const [n_min, n_max] = padRange(Math.min(...n_values), Math.max(...n_values));
+    const [t_min, t_max] = padRange(Math.min(...title_values), Math.max(...title_values));
+    
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const toX = (n) => CHART_PADDING.left + ((n - n_min) / (n_max - n_min)) * plotWidth;
+    const toY = (title) => CHART_PADDING.top + (1 - (title - t_min) / (t_max - t_min)) * plotHeight;
+    
+    const svg = createSvgElement('svg', {
+      viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+      class: 'fit-chart',
+      role: 'img',
+      'aria-label': t("chart.label", { transform: fit.transform_name })
+    });
+    
+    // Axes and tick labels
+    const axes = createSvgElement('g', { class: 'chart-axes' });
+    axes.appendChild(createSvgElement('rect', { x: CHART_PADDING.left, y: CHART_PADDING.top, width: plotWidth, height: plotHeight }));
+    getChartTicks(n_min, n_max).forEach(tick => {
+      axes.appendChild(createSvgText(formatTick(tick), { x: toX(tick), y: CHART_HEIGHT - CHART_PADDING.bottom + 16, 'text-anchor': 'middle' }));
+    });
+    getChartTicks(t_min, t_max).forEach(tick => {
+      axes.appendChild(createSvgText(formatTick(tick), { x: CHART_PADDING.left - 6, y: toY(tick) + 4, 'text-anchor': 'end' }));
+    });
+    axes.appendChild(createSvgText(`n = ${fit.transform_name}`, { x: CHART_PADDING.left + plotWidth / 2, y: CHART_HEIGHT - 6, 'text-anchor': 'middle' }));
+    axes.appendChild(createSvgText(t("chart.titleAxis"), { x: 14, y: CHART_PADDING.top + plotHeight / 2, 'text-anchor': 'middle', transform: `rotate(-90 14 ${CHART_PADDING.top + plotHeight / 2})` }));
+    svg.appendChild(axes);
+    
+    // Fitted line for each phase, clipped to the chart
+    lines.forEach(line => {
+      const from = Math.max(n_min, line.n_min);
+      const to = Math.min(n_max, line.n_max);
+      svg.appendChild(createSvgElement('line', {
+        class: 'chart-fit-line',
+        x1: toX(from), y1: toY((line.regression.m * from) + line.regression.c),
+        x2: toX(to), y2: toY((line.regression.m * to) + line.regression.c)
+      }));
+    });
+    
+    // Data points
+    points.forEach(point => {
+      const marker = createSvgElement('circle', {
+        class: `chart-point ${point.status}`,
+        cx: toX(point.n),
+        cy: toY(point.title),
+        r: 6,
+        tabindex: 0
+      });
+      const tooltip = createSvgElement('title');
+      tooltip.textContent = t(`chart.point.${point.status}`, { house: point.house, title: point.title });
+      marker.appendChild(tooltip);
+      
+      const toggle = () => {
+        setPointExcluded(point.id, point.status !== 'excluded');
+        form.requestSubmit();
+      };
+      marker.addEventListener('click', toggle);
+      marker.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          toggle();
+        }
+      });
+      svg.appendChild(marker);
+    });
+    
+    // Predicted target
+    const tx = toX(n_target);
+    const ty = toY(finalResult);
+    const target = createSvgElement('path', {
+      class: 'chart-target',
+      d: `M ${tx} ${ty - 8} L ${tx + 8} ${ty} L ${tx} ${ty + 8} L ${tx - 8} ${ty} Z`
+    });
+    const targetTooltip = createSvgElement('title');
+    targetTooltip.textContent = t("chart.target", { house: x_target, title: finalResult });
+    target.appendChild(targetTooltip);
+    svg.appendChild(target);
+    
+    resultChart.innerHTML = '';
+    resultChart.appendChild(svg);
+    resultChart.insertAdjacentHTML('beforeend', `
+      <div class="chart-legend">
+        <span><i class="legend-used"></i>${t("chart.used")}</span>
+        <span><i class="legend-outlier"></i>${t("chart.outlier")}</span>
+        <span><i class="legend-excluded"></i>${t("chart.excluded")}</span>
+        <span><i class="legend-target"></i>${t("chart.targetLegend")}</span>
+      </div>
+      <p class="chart-hint">${t("chart.hint")}</p>
+    `);
+  }
   
+  function padRange(min, max) {
+    const pad = max > min ? (max - min) * 0.08 : Math.max(1, Math.abs(min) * 0.01);
+    return [min - pad, max + pad];
+  }
+  
+  /**
+   * Returns about five evenly spaced round tick values between min and max
+   */
+  function getChartTicks(min, max) {
+    const rough = (max - min) / 5;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = [1, 2, 5, 10].map(f => f * magnitude).find(candidate => candidate >= rough);
+    const ticks = [];
+    for (let tick = Math.ceil(min / step) * step; tick <= max; tick += step) {
+      ticks.push(Math.round(tick / step) * step);
+    }
+    return ticks;
+  }
   
-  // --- 4. Calculation Functions (No changes here) ---
+  function formatTick(value) {
+    return Number.isInteger(value) ? String(value) : formatNumber(value, 1);
+  }
   
-  function calculateRegression(x_arr, y_arr) {
-    const n = x_arr.length;
-    if (n < 2) return null;
-
-    const x_mean = x_arr.reduce((a, b) => a + b) / n;
-    const y_mean = y_arr.reduce((a, b) => a + b) / n;
+  function createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+  }
+  
+  function createSvgText(text, attributes) {
+    const element = createSvgElement('text', attributes);
+    element.textContent = text;
+    return element;
+  }
 
-    let m_numerator = 0;
-    let m_denominator = 0;
 
-    for (let i = 0; i < n; i++) {
-      m_numerator += (x_arr[i] - x_mean) * (y_arr[i] - y_mean);
-      m_denominator += (x_arr[i] - x_mean) ** 2;
+  // --- 3d. Title Type Comparison ---
+  
+  /**
+   * Fits every title type on its own and shows the predictions side by side,
+   * with the type suggested by the target's nearest neighbours.
+   * The street and date filters still apply; the type filter does not.
+   */
+  function showTypeComparison(x_target) {
+    if (!compareTypesToggle.checked || normalizedTypeMap.size === 0) {
+      typeComparison.classList.add('hidden');
+      return;
     }
     
-    if (m_denominator === 0) {
-      return null; 
-    }
-
-    const m = m_numerator / m_denominator;
-    const c = y_mean - (m * x_mean);
-
-    let ss_total = 0;
-    let ss_residual = 0;
+    const filters = { ...getActiveFilters(), types: null };
+    const records = allUploadedData.filter(record =>
+      !record.excluded && record.type && record.houseNum !== null && record.titleNum !== null && passesFilters(record, filters)
+    );
+    const suggestion = suggestTitleType(records, x_target);
     
-    for (let i = 0; i < y_arr.length; i++) {
-      const y_predicted = (m * x_arr[i]) + c;
-      ss_total += (y_arr[i] - y_mean) ** 2;
-      ss_residual += (y_arr[i] - y_predicted) ** 2;
+    typeComparisonBody.innerHTML = '';
+    for (const [normalized, original] of normalizedTypeMap.entries()) {
+      const points = records
+        .filter(record => normalizeType(record.type) === normalized)
+        .map(record => ({ id: record.id, house: record.houseNum, title: record.titleNum }));
+      const prediction = predictTitle(points, x_target, getFitOptions());
+      
+      const tr = document.createElement('tr');
+      tr.className = prediction.error ? 'warning' : prediction.confidence.level;
+      tr.classList.toggle('suggested', !!suggestion && suggestion.type === normalized);
+      
+      const cells = prediction.error
+        ? [original, '—', '—', points.length, t("batch.noResult")]
+        : [original, prediction.title, `${prediction.interval.low} – ${prediction.interval.high}`, points.length, prediction.confidence.label];
+      cells.forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      typeComparisonBody.appendChild(tr);
     }
     
-    let r2 = 0;
-    if (ss_total === 0) {
-      r2 = ss_residual === 0 ? 1 : 0;
+    if (suggestion) {
+      const houses = suggestion.supporters.map(neighbour => neighbour.record.houseNum).join(', ');
+      typeSuggestion.innerHTML = t("types.suggestion", {
+        type: escapeHtml(suggestion.label),
+        count: suggestion.supporters.length,
+        total: suggestion.neighbours.length,
+        houses
+      });
     } else {
-      r2 = 1 - (ss_residual / ss_total);
+      typeSuggestion.textContent = t("types.noSuggestion");
     }
+    typeComparison.classList.remove('hidden');
+  }
+  
+  /**
+   * Suggests the target's title type from its NEIGHBOUR_COUNT nearest houses
+   * on the same side of the street (either side if that one has no data).
+   * Each neighbour votes for its type, and closer houses count for more.
+   * Returns { type, label, neighbours, supporters }, or null without typed points.
+   */
+  function suggestTitleType(records, x_target) {
+    const sameSide = records.filter(record => record.houseNum % 2 === x_target % 2);
+    const neighbours = (sameSide.length > 0 ? sameSide : records)
+      .map(record => ({ record, distance: Math.abs(record.houseNum - x_target) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, NEIGHBOUR_COUNT);
+    if (neighbours.length === 0) return null;
     
-    return { m, c, r2 };
+    const votes = new Map();
+    neighbours.forEach(({ record, distance }) => {
+      const type = normalizeType(record.type);
+      votes.set(type, (votes.get(type) || 0) + 1 / (1 + distance));
+    });
+    const [type] = Array.from(votes.entries()).reduce((best, entry) => entry[1] > best[1] ? entry : best);
+    
+    return {
+      type,
+      label: normalizedTypeMap.get(type),
+      neighbours,
+      supporters: neighbours.filter(neighbour => normalizeType(neighbour.record.type) === type)
+    };
   }
+
+
+  // --- 3e. Calculation Report ---
+  
+  reportPrintBtn.addEventListener('click', printReport);
+  reportHtmlBtn.addEventListener('click', () => {
+    if (!lastReport) return;
+    downloadFile(renderReportDocument(lastReport), `title-report-house-${lastReport.target.house}.html`, 'text/html');
+  });
+  reportJsonBtn.addEventListener('click', () => {
+    if (!lastReport) return;
+    downloadFile(JSON.stringify(lastReport, null, 2), `title-report-house-${lastReport.target.house}.json`, 'application/json');
+  });
   
-  function findOutlierByResidual(x_prime_values, y_values, x_values, m, c) {
-    let max_residual_sq = -1;
-    let outlier_index = -1;
+  /**
+   * Records how a single prediction was derived: the data, filters, method,
+   * confidence and outliers. This is also the JSON export format.
+   */
+  function buildReport(prediction, dataPoints, excludedPoints, analysis_message) {
+    const fit = prediction.fit;
+    const isOutlier = (point) => fit.outliers.some(o => o.house === point.house && o.title === point.title);
+    const getStatus = (point) => {
+      if (!fit.filter_fn(point.house)) return 'other';
+      return isOutlier(point) ? 'outlier' : 'used';
+    };
     
-    for (let i = 0; i < x_values.length; i++) {
-      const n_i = x_prime_values[i];
-      const y_i = y_values[i];
-      
-      const predicted_y = (m * n_i) + c;
-      const residual_sq = (y_i - predicted_y) ** 2;
-      
-      if (residual_sq > max_residual_sq) {
-        max_residual_sq = residual_sq;
-        outlier_index = i;
-      }
-    }
+    const points = [
+      ...dataPoints.map(point => describeReportPoint(point, getStatus(point))),
+      ...excludedPoints.map(point => describeReportPoint(point, 'excluded'))
+    ];
+    const sources = new Set();
+    points.forEach(point => point.sources.forEach(source => sources.add(source)));
+    
+    const dateRange = getDateRange();
+    const filters = getActiveFilters();
+    const listLabels = (values, getLabel) => values ? Array.from(values).map(getLabel).join(', ') || t("report.none") : t("report.all");
     
     return {
-      outlier_house: x_values[outlier_index],
-      outlier_index: outlier_index
+      generatedAt: new Date().toISOString(),
+      project: currentProject ? currentProject.name : null,
+      target: { input: targetHouse_el.value.trim(), house: prediction.house },
+      result: {
+        title: prediction.title,
+        range: { low: prediction.interval.low, high: prediction.interval.high, reliable: prediction.interval.estimated },
+        candidates: prediction.interval.candidates
+      },
+      method: {
+        scheme: fit.scheme_label,
+        transform: `n = ${prediction.transform_name}`,
+        formula: prediction.formula,
+        prediction: t(prediction.method === 'neighbours' ? "report.methodNeighbours" : "report.methodRegression"),
+        phase: prediction.method === 'regression' && prediction.segment ? prediction.segment.phase : null,
+        phaseDetection: segmentToggle.checked,
+        outlierCorrection: t(outlierModeSelect.value === 'robust' ? "report.outliersRobust" : "report.outliersClassic")
+      },
+      confidence: {
+        level: prediction.confidence.level,
+        r2_percent: Number(prediction.confidence.r2_percent.toFixed(2)),
+        label: prediction.confidence.label,
+        validation: prediction.confidence.validation
+      },
+      analysis: htmlToText(analysis_message),
+      filters: {
+        titleTypes: listLabels(filters.types, type => normalizedTypeMap.get(type) || type),
+        streets: listLabels(filters.streets, key => streetMap.has(key) ? streetMap.get(key).label : key),
+        dates: dateRange ? formatDateRange(dateRange) : t("report.all")
+      },
+      sources: Array.from(sources),
+      outliers: fit.outliers.map(outlier => ({ house: outlier.house, title: outlier.title, reason: outlier.reason })),
+      points
+    };
+  }
+  
+  /**
+   * Describes one data point for the report.
+   * Status is 'used', 'outlier', 'other' (not in the fitted group) or 'excluded'.
+   */
+  function describeReportPoint(point, status) {
+    const record = findPoint(point.id);
+    return {
+      house: point.house,
+      title: point.title,
+      type: record.type || '',
+      date: record.date ? formatDate(record.date) : '',
+      address: record.manual ? '' : record.houseRaw,
+      sources: record.manual ? [t("report.manualEntry")] : record.sources.map(source => `${source.file} › ${source.sheet}`),
+      status
     };
   }
+  
+  /**
+   * Renders the report as a standalone HTML document
+   */
+  function renderReportDocument(report) {
+    const generated = new Date(report.generatedAt);
+    const validation = report.confidence.validation;
+    const detailRows = (rows) => rows
+      .map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`)
+      .join('');
+    
+    const candidates = report.result.candidates
+      .map(candidate => `${candidate.title} (${formatNumber(candidate.likelihood * 100, 0)}%)`)
+      .join(', ');
+    const pointRows = report.points.map(point => `
+        <tr class="${point.status}">
+          <td>${point.house}</td><td>${point.title}</td><td>${escapeHtml(point.type)}</td><td>${escapeHtml(point.date)}</td>
+          <td>${escapeHtml(point.address)}</td><td>${escapeHtml(point.sources.join('; '))}</td><td>${t(`report.status.${point.status}`)}</td>
+        </tr>`).join('');
+    const outliers = report.outliers.length === 0
+      ? `<p>${t("report.noOutliers")}</p>`
+      : `<ul>${report.outliers.map(outlier => `<li>${t("report.outlier", { house: outlier.house, reason: escapeHtml(outlier.reason) })}</li>`).join('')}</ul>`;
+    const range = t("result.range", { low: report.result.range.low, high: report.result.range.high });
+    const meta = t("report.generated", { date: formatDate(generated), time: formatTime(generated) })
+      + (report.project ? ` · ${t("report.project", { name: escapeHtml(report.project) })}` : '');
+    const pointHeadings = ["report.house", "report.title", "report.type", "report.date", "report.address", "report.source", "report.status"]
+      .map(key => `<th>${t(key)}</th>`)
+      .join('');
+    
+    return `<!DOCTYPE html>
+<html lang="${getLanguage()}">
+<head>
+  <meta charset="UTF-8">
+  <title>${t("report.documentTitle", { house: report.target.house })}</title>
+  <style>${REPORT_CSS}</style>
+</head>
+<body>
+  <h1>${t("report.heading")}</h1>
+  <p class="meta">${meta}</p>
+  
+  <p class="result">${t("report.result", { house: escapeHtml(report.target.input || report.target.house), title: report.result.title })}</p>
+  <p>${report.result.range.reliable ? range : `${range} ${t("report.rangeUnreliable")}`}<br>
+  ${t("report.candidates", { candidates })}</p>
+  
+  <h2>${t("report.method")}</h2>
+  <table class="details">${detailRows([
+    [t("report.scheme"), report.method.scheme],
+    [t("report.prediction"), report.method.prediction],
+    [t("report.transform"), report.method.transform],
+    [t("report.formula"), report.method.phase ? `${t("batch.phase", { phase: report.method.phase })}${report.method.formula}` : report.method.formula],
+    [t("report.confidence"), report.confidence.label],
+    [t("report.validation"), validation.tested === 0
+      ? t("report.validationTooFew")
+      : t("report.validationSummary", {
+        hits: validation.hits,
+        tested: validation.tested,
+        mean: formatNumber(validation.mean_error, 1),
+        max: validation.max_error
+      })],
+    ['R²', `${formatNumber(report.confidence.r2_percent, 1)}%`],
+    [t("report.phaseDetection"), t(report.method.phaseDetection ? "report.on" : "report.off")],
+    [t("report.outlierCorrection"), report.method.outlierCorrection]
+  ])}</table>
+  
+  <h2>${t("report.analysis")}</h2>
+  <p class="analysis">${escapeHtml(report.analysis)}</p>
+  
+  <h2>${t("report.filters")}</h2>
+  <table class="details">${detailRows([
+    [t("report.titleTypes"), report.filters.titleTypes],
+    [t("report.streets"), report.filters.streets],
+    [t("report.dates"), report.filters.dates]
+  ])}</table>
+  
+  <h2>${t("report.sources")}</h2>
+  <ul>${report.sources.map(source => `<li>${escapeHtml(source)}</li>`).join('')}</ul>
+  
+  <h2>${t("report.outliers")}</h2>
+  ${outliers}
+  
+  <h2>${t("report.points")}</h2>
+  <table>
+    <thead>
+      <tr>${pointHeadings}</tr>
+    </thead>
+    <tbody>${pointRows}
+    </tbody>
+  </table>
+  
+  <footer>${t("report.footer")}</footer>
+</body>
+</html>`;
+  }
+  
+  /**
+   * Prints the report from a hidden frame, so the page itself is not printed
+   */
+  function printReport() {
+    if (!lastReport) return;
+    let frame = document.getElementById('report-frame');
+    if (!frame) {
+      frame = document.createElement('iframe');
+      frame.id = 'report-frame';
+      frame.className = 'report-frame';
+      frame.title = t("report.frameTitle");
+      document.body.appendChild(frame);
+    }
+    frame.onload = () => frame.contentWindow.print();
+    frame.srcdoc = renderReportDocument(lastReport);
+  }
+
 
+  // --- 3f. Reverse Lookup ---
+  
+  /**
+   * Finds the house numbers that best fit the target title number,
+   * using the same filtered points and fit options as a prediction
+   */
+  function runReverseLookup(dataPoints, activeFilterDisplay) {
+    const title = parseTitleNumber(targetTitle_el.value);
+    if (title === null) {
+      showError(t("reverse.noTitle"));
+      return;
+    }
+    
+    const lookup = findHousesForTitle(dataPoints, title, getFitOptions());
+    if (lookup.error) {
+      showError(lookup.error);
+      return;
+    }
+    
+    showReverseResults(lookup, activeFilterDisplay);
+  }
+  
+  function showReverseResults(lookup, activeFilterType) {
+    reverseResultText.textContent = t("reverse.result", { title: lookup.title, houses: lookup.houses.join(` ${t("reverse.or")} `) });
+    reverseAnalysis.innerHTML = lookup.message;
+    
+    reverseResultBody.innerHTML = '';
+    lookup.matches.forEach(match => {
+      const tr = document.createElement('tr');
+      tr.className = match.level;
+      const side = t(match.side === 'even' ? "reverse.evenSide" : "reverse.oddSide");
+      const house = match.beyond > 0 ? t("reverse.beyondHouse", { house: match.house }) : match.house;
+      [side, house, match.predicted, match.difference, match.label].forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      reverseResultBody.appendChild(tr);
+    });
+    
+    reverseResultTitleType.textContent = activeFilterType;
+    reverseResultContainer.classList.remove("success", "warning", "info");
+    reverseResultContainer.classList.add(lookup.level);
+    reverseResultContainer.classList.remove("hidden");
+  }
+  
+  
+  // --- 4. Helper Functions (No changes here) ---
+  
+  function rowsToCsv(rows) {
+    return rows.map(row => row.map(value => {
+      const text = String(value ?? '');
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n');
+  }
+  
+  function downloadFile(content, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+  
+  function htmlToText(html) {
+    const div = document.createElement('div');
+    div.innerHTML = html.replace(/<br\s*\/?>/g, '\n').replace(/<li>/g, '\n• ');
+    return div.textContent.trim();
+  }
   
-  // --- 5. Helper Functions (No changes here) ---
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
   
+  /**
+   * Shows an error. The message is HTML, so text that did not come from the
+   * catalogue or the engine (file names, exception messages) must be escaped first.
+   */
   function showError(message) {
     errorText.innerHTML = message; 
     errorContainer.classList.remove("hidden");
   }
   
-  function showResult(targetHouse, result, m, c, transform_name, level, r2_percent, message, activeFilterType) {
+  function showResult(targetHouse, result, formula, transform_name, level, confidence_label, message, activeFilterType, interval) {
     const h2_el = resultContainer.querySelector('h2');
-    h2_el.innerHTML = `House Number: <span class="target-house-display">${targetHouse}</span><br>Calculated Title Number:`;
+    h2_el.innerHTML = t("result.heading", { house: `<span class="target-house-display">${targetHouse}</span>` });
     
     resultText.textContent = result;
     
-    resultTitleType.textContent = activeFilterType;
+    const range = t("result.range", { low: interval.low, high: interval.high });
+    resultInterval.textContent = interval.estimated ? range : `${range} ${t("result.rangeUnreliable")}`;
     
-    const c_string = c >= 0 ? `+ ${c.toFixed(2)}` : `- ${Math.abs(c).toFixed(2)}`;
+    resultCandidates.innerHTML = '';
+    interval.candidates.forEach((candidate, idx) => {
+      const li = document.createElement('li');
+      const likelihood = `${formatNumber(candidate.likelihood * 100, 0)}%`;
+      li.innerHTML = `<b>${candidate.title}</b> <span class="candidate-likelihood">(${idx === 0 ? t("result.mostLikely", { likelihood }) : likelihood})</span>`;
+      resultCandidates.appendChild(li);
+    });
+    
+    resultTitleType.textContent = activeFilterType;
     
     formulaText.innerHTML = `
-      Let <b>n = ${transform_name}</b><br>
-      Formula: <b>Title = (${m.toFixed(4)} * n) ${c_string}</b>
+      ${t("result.let", { transform: `<b>n = ${transform_name}</b>` })}<br>
+      ${t("result.formula", { formula: `<b>${formula}</b>` })}
     `;
     
     resultContainer.classList.add(level);
     
-    if(level === 'success' || (level === 'info' && r2_percent >= CONFIDENCE_THRESHOLD)) {
-      analysisLevel.textContent = `High Confidence (${r2_percent.toFixed(1)}%)`;
-    } else if (level === 'warning') {
-      analysisLevel.textContent = `Low Confidence (${r2_percent.toFixed(1)}%)`;
-    } else { 
-      analysisLevel.textContent = `Analysis Note`;
-    }
+    analysisLevel.textContent = confidence_label;
     
     analysisText.innerHTML = message;
     
     resultContainer.classList.remove("hidden");
   }
   
+  function showBatchResults(rows, activeFilterType) {
+    batchResultBody.innerHTML = '';
+    
+    rows.forEach(row => {
+      const tr = document.createElement('tr');
+      tr.className = row.level;
+      [row.house, row.title === null ? '—' : row.title, row.transform, row.formula, row.confidence].forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      batchResultBody.appendChild(tr);
+    });
+    
+    batchResultTitleType.textContent = activeFilterType;
+    batchResultContainer.classList.remove("hidden");
+  }
+  
   // --- Initialize UI ---
+  setLanguage(getInitialLanguage());
+  translatePage();
+  
   // Clear the container first, *then* add the 2 blank points
   clearDataPoints(true); // Full clear on startup
-  createBlankDataPoint();
-  createBlankDataPoint();
+  populateTemplateSelect('auto');
+  ensureMinimumPoints();
+  populateDataPoints(allUploadedData);
+  restoreLastProject(); // Reopen the last project, if there is one
+  openSharedLink(); // Then open the shared project the page was linked to, if any
   
 } // End of initializeApp()
 
 
 // --- Main Entry Point ---
-// Wait for the DOM to be ready, then start loading the SheetJS script
+// Wait for the DOM to be ready, start the app, then load SheetJS in the background
 document.addEventListener("DOMContentLoaded", () => {
-  loadScript(SHEET_JS_URL, onSheetJsLoaded);
+  initializeApp();
+  registerServiceWorker();
+  loadSheetJs();
 });
\ No newline at end of file
@@ -0,0 +1,63 @@
+// --- Offline Service Worker ---
+// Caches the app shell so the tool keeps working without a connection.
+// Bump CACHE_VERSION whenever the list of files below changes.
+const CACHE_VERSION = "v4";
+const CACHE_NAME = `title-generator-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+  "./",
+  "./index.html",
+  "./style.css",
+  "./i18n.js",
+  "./engine.js",
+  "./script.js",
+  "./manifest.webmanifest",
+  "./vendor/xlsx.full.min.js",
+  "./icons/icon-192.png",
+  "./icons/icon-512.png"
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  // Remove caches left behind by older versions
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key.startsWith("title-generator-") && key !== CACHE_NAME).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Stale-while-revalidate for same-origin files: answer from the cache at once,
+ * then refresh the cached copy in the background when the network is available.
+ */
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+  
+  event.respondWith(
+    caches.open(CACHE_NAME).then(cache =>
+      cache.match(request, { ignoreSearch: true }).then(cached => {
+        const refreshed = fetch(request)
+          .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+          })
+          .catch(() => cached);
+        
+        return cached || refreshed;
+      })
+    )
+  );
+});